@@ -30,6 +30,17 @@ class GSTable {
       this.modified = GSTable.COLUMN().DATE(modified);
       this.created_by = GSTable.COLUMN().STRING(created_by);
       this.last_modified_by = GSTable.COLUMN().STRING(last_modified_by);
+      if (this.constructor.versioned()) {
+        this.version = GSTable.COLUMN().NUMBER(0, false);
+      }
+      if (this.constructor.softDeletes()) {
+        this.deleted_at = GSTable.COLUMN().DATE("", false);
+        this.deleted_by = GSTable.COLUMN().STRING("", false);
+      }
+      var schema = this.constructor.schema();
+      if (schema !== null) {
+        schema.forEach((definition) => this[definition.name] = this.constructor.columnFromSchema(definition));
+      }
     }
   
     /**
@@ -50,63 +61,99 @@ class GSTable {
      *   - NUMBER {Function} - Creates a number column definition.
      *   - BOOLEAN {Function} - Creates a boolean column definition.
      *   - FOREIGNKEY {Function} - Creates a foreign key column definition.
+     *   - FILE {Function} - Creates a column holding a file stored in Google Drive.
+     *   - JSON {Function} - Creates a column holding an object or an array, written as JSON.
+     *   - ARRAY {Function} - Creates a column holding a list of strings, written with a delimiter.
+     *   - ENUM {Function} - Creates a column accepting only a fixed set of values.
+     *   - EMAIL {Function} - Creates an email address column definition.
+     *   - URL {Function} - Creates a web address column definition.
+     *   - DATETIME {Function} - Creates a date and time column written with its UTC offset.
+     *   - DECIMAL {Function} - Creates a number column rounded to a fixed number of decimals.
      *
      * @param {any} [value] - The default value for the column.
      * @param {boolean} [required=true] - Indicates whether the column is required.
+     * @param {Object} [options={}] - Constraints checked by `validate()` before persisting:
+     *   - min {number|Date|string}: The lowest accepted value (NUMBER, DATE and TIME).
+     *   - max {number|Date|string}: The highest accepted value (NUMBER, DATE and TIME).
+     *   - minLength {number}: The minimum length of the text (STRING).
+     *   - maxLength {number}: The maximum length of the text (STRING).
+     *   - pattern {RegExp|string}: A regular expression the text must match (STRING).
+     *   - values {Array}: The only accepted values.
+     *   - validate {Function}: A custom check called as `validate(value, entity)`. Return
+     *     false or an error message to reject the value.
+     *   - unique {boolean|string}: Rejects values already present in another row. Give the
+     *     same string to several columns to make their combination unique.
+     *   - index {boolean}: Marks the column as looked up often with `findOneBy`/`findAllBy`.
+     *   - onDelete {string}: What happens to the row when the entity it references is removed:
+     *     "restrict", "cascade" or "setNull" (FOREIGNKEY, see `GSTable.planDelete()`).
+     *   - checkExists {boolean}: Rejects ids that do not exist in the referenced table (FOREIGNKEY).
+     *   - label {string}: The header of the column in the sheet, the property name by default.
+     *   - order {number}: The position of the column in new sheets, see `getColumns()`.
+     *   - hidden {boolean}: Hides the column when it is added to the sheet.
+     *   - trashOnRemove {boolean}: Moves the file to the Drive trash when the row is deleted (FILE).
+     *   - format {string}: The number format of the column in the sheet, see `formatSheet()`.
+     *   - validation {boolean}: False to leave the column without data validation, see `formatSheet()`.
      *
      * @example
      * // Example usage to define a string column with a default value:
      * const columnDefinition = GSTable.COLUMN().STRING("Sample String", true);
+     * // Example usage to define a number column accepting only values from 0 to 100:
+     * const percentage = GSTable.COLUMN().NUMBER(0, true, { min: 0, max: 100 });
      */
     static COLUMN() {
         /**
          * Creates a date column definition.
          * @param {Date} [value] - The default value for the column.
          * @param {boolean} [required=true] - Indicates whether the column is required.
+         * @param {Object} [options={}] - The constraints of the column.
          * @returns {Object} - The date column definition object.
          */
-        function DATE(value, required = true) {
-            return { _value: value || "", _type: "date", _required: required };
+        function DATE(value, required = true, options = {}) {
+            return { _value: value || "", _type: "date", _required: required, _options: options };
         }
 
         /**
          * Creates a time column definition.
          * @param {String} [value] - The default value for the column in the format hh:mm.
          * @param {boolean} [required=true] - Indicates whether the column is required.
+         * @param {Object} [options={}] - The constraints of the column.
          * @returns {Object} - The time column definition object.
          */
-        function TIME(value, required = true) {
-            return { _value: value || "", _type: "time", _required: required };
+        function TIME(value, required = true, options = {}) {
+            return { _value: value || "", _type: "time", _required: required, _options: options };
         }
     
         /**
          * Creates a string column definition.
          * @param {string} [value] - The default value for the column.
          * @param {boolean} [required=true] - Indicates whether the column is required.
+         * @param {Object} [options={}] - The constraints of the column.
          * @returns {Object} - The string column definition object.
          */
-        function STRING(value, required = true) {
-            return { _value: value || "", _type: "str", _required: required };
+        function STRING(value, required = true, options = {}) {
+            return { _value: value || "", _type: "str", _required: required, _options: options };
         }
     
         /**
          * Creates a number column definition.
          * @param {number} [value] - The default value for the column.
          * @param {boolean} [required=true] - Indicates whether the column is required.
+         * @param {Object} [options={}] - The constraints of the column.
          * @returns {Object} - The number column definition object.
          */
-        function NUMBER(value, required = true) {
-            return { _value: value || 0, _type: "number", _required: required };
+        function NUMBER(value, required = true, options = {}) {
+            return { _value: value === undefined || value === null ? "" : value, _type: "number", _required: required, _options: options };
         }
     
         /**
          * Creates a boolean column definition.
          * @param {boolean} [value] - The default value for the column.
          * @param {boolean} [required=true] - Indicates whether the column is required.
+         * @param {Object} [options={}] - The constraints of the column.
          * @returns {Object} - The boolean column definition object.
          */
-        function BOOLEAN(value, required = true) {
-            return { _value: value || false, _type: "bool", _required: required };
+        function BOOLEAN(value, required = true, options = {}) {
+            return { _value: value === undefined || value === null || value === "" ? false : value, _type: "bool", _required: required, _options: options };
         }
     
         /**
@@ -114,19 +161,394 @@ class GSTable {
          * @param {string} [value] - The default value for the column.
          * @param {string} class_name - The name of the associated class.
          * @param {boolean} [required=true] - Indicates whether the column is required.
+         * @param {Object} [options={}] - The constraints of the column.
          * @returns {Object} - The foreign key column definition object.
          */
-        function FOREIGNKEY(value, class_name, required = true) {
+        function FOREIGNKEY(value, class_name, required = true, options = {}) {
             return {
                 _value: value || "",
                 _type: "fk",
                 _required: required,
                 _class: class_name,
+                _options: options,
+            };
+        }
+    
+        /**
+         * Creates a file column definition.
+         * @param {GoogleAppsScript.Base.Blob|GSTableFile|string} [value] - A Blob to upload,
+         * or the file already uploaded (a handle, its id or its URL).
+         * @param {string|null} [folder=null] - The key of the folder in `folderNames()`, or the
+         * name of the Drive folder; the property name is used as key when omitted.
+         * @param {boolean} [required=true] - Indicates whether the column is required.
+         * @param {Object} [options={}] - The constraints of the column.
+         * @returns {Object} - The file column definition object.
+         */
+        function FILE(value, folder = null, required = true, options = {}) {
+            return {
+                _value: value || "",
+                _type: "file",
+                _required: required,
+                _folder: folder,
+                _options: options,
+            };
+        }
+    
+        /**
+         * Creates a JSON column definition.
+         * @param {Object|Array} [value] - The default value for the column.
+         * @param {boolean} [required=true] - Indicates whether the column is required.
+         * @param {Object} [options={}] - The constraints of the column.
+         * @returns {Object} - The JSON column definition object.
+         */
+        function JSON(value, required = true, options = {}) {
+            return { _value: value === undefined || value === null ? "" : value, _type: "json", _required: required, _options: options };
+        }
+
+        /**
+         * Creates an array column definition.
+         * @param {Array<string>} [value] - The default value for the column.
+         * @param {string} [delimiter=","] - The separator of the items in the cell.
+         * @param {boolean} [required=true] - Indicates whether the column is required.
+         * @param {Object} [options={}] - The constraints of the column.
+         * @returns {Object} - The array column definition object.
+         */
+        function ARRAY(value, delimiter = ",", required = true, options = {}) {
+            return {
+                _value: value === undefined || value === null || value === "" ? [] : value,
+                _type: "array",
+                _required: required,
+                _delimiter: delimiter,
+                _options: options,
+            };
+        }
+
+        /**
+         * Creates an enumeration column definition.
+         * @param {string|number} [value] - The default value for the column.
+         * @param {Array<string|number>} values - The accepted values.
+         * @param {boolean} [required=true] - Indicates whether the column is required.
+         * @param {Object} [options={}] - The constraints of the column.
+         * @returns {Object} - The enumeration column definition object.
+         */
+        function ENUM(value, values, required = true, options = {}) {
+            return {
+                _value: value === undefined || value === null ? "" : value,
+                _type: "enum",
+                _required: required,
+                _values: values || [],
+                _options: options,
+            };
+        }
+
+        /**
+         * Creates an email address column definition.
+         * @param {string} [value] - The default value for the column.
+         * @param {boolean} [required=true] - Indicates whether the column is required.
+         * @param {Object} [options={}] - The constraints of the column.
+         * @returns {Object} - The email column definition object.
+         */
+        function EMAIL(value, required = true, options = {}) {
+            return { _value: value || "", _type: "email", _required: required, _options: options };
+        }
+
+        /**
+         * Creates a web address column definition.
+         * @param {string} [value] - The default value for the column.
+         * @param {boolean} [required=true] - Indicates whether the column is required.
+         * @param {Object} [options={}] - The constraints of the column.
+         * @returns {Object} - The URL column definition object.
+         */
+        function URL(value, required = true, options = {}) {
+            return { _value: value || "", _type: "url", _required: required, _options: options };
+        }
+
+        /**
+         * Creates a date and time column definition.
+         * @param {Date|string} [value] - The default value for the column.
+         * @param {string|null} [timeZone=null] - The IANA time zone written in the cell, like
+         * "Europe/Rome"; the time zone of the script when null.
+         * @param {boolean} [required=true] - Indicates whether the column is required.
+         * @param {Object} [options={}] - The constraints of the column.
+         * @returns {Object} - The date and time column definition object.
+         */
+        function DATETIME(value, timeZone = null, required = true, options = {}) {
+            return {
+                _value: value || "",
+                _type: "datetime",
+                _required: required,
+                _timeZone: timeZone,
+                _options: options,
+            };
+        }
+
+        /**
+         * Creates a decimal column definition.
+         * @param {number} [value] - The default value for the column.
+         * @param {number} [precision=2] - The number of decimals kept.
+         * @param {boolean} [required=true] - Indicates whether the column is required.
+         * @param {Object} [options={}] - The constraints of the column.
+         * @returns {Object} - The decimal column definition object.
+         */
+        function DECIMAL(value, precision = 2, required = true, options = {}) {
+            return {
+                _value: value === undefined || value === null ? "" : value,
+                _type: "decimal",
+                _required: required,
+                _precision: precision,
+                _options: options,
             };
         }
     
         // Return an object containing all column creation functions.
-        return {DATE, TIME, STRING, NUMBER, BOOLEAN, FOREIGNKEY};
+        return {DATE, TIME, STRING, NUMBER, BOOLEAN, FOREIGNKEY, FILE, JSON, ARRAY, ENUM, EMAIL, URL, DATETIME, DECIMAL};
+    }
+
+    /**
+     * Factory function for the parsers and serializers of each column type.
+     * @static
+     * @returns {Object} - An object keyed by column `_type`, each entry containing:
+     *   - parse {Function}: Converts a value read from the sheet (or assigned by the user) into
+     *     the JavaScript value of the column. Throws an Error if the value cannot be converted.
+     *   - serialize {Function}: Converts the value of the column into the value to write in the sheet.
+     * Both receive the value and the column definition, which holds the settings of types like
+     * ENUM (`_values`), ARRAY (`_delimiter`), DATETIME (`_timeZone`) and DECIMAL (`_precision`).
+     *
+     * @description This static method describes how each column type created by `COLUMN()` is
+     * read and written. `fromJson` parses every cell through it, so that dates typed as ISO 8601
+     * text (e.g. "2024-05-01" or "2024-05-01T08:00:00+02:00") become `Date` objects while other
+     * text like "1" or "May 1" is rejected, numbers are read as Sheets serial dates (days since
+     * 1899-12-30, so 45413 is 2024-05-01), "TRUE"/"false" become booleans, times are normalized to hh:mm,
+     * numeric strings become numbers and JSON text becomes objects. `getUpdateArray` serializes
+     * through it before writing, so that every value fits in a single cell. Empty values
+     * (undefined, null and "") are always kept as "", except for booleans that become false
+     * and arrays that become [].
+     *
+     * @example
+     * GSTable.TYPES().number.parse(" 12.5 "); // 12.5
+     * GSTable.TYPES().time.parse("9:5"); // "09:05"
+     * GSTable.TYPES().bool.parse("FALSE"); // false
+     * GSTable.TYPES().number.parse("abc"); // throws Error
+     * GSTable.TYPES().array.parse("red, green", GSTable.COLUMN().ARRAY()); // ["red", "green"]
+     * GSTable.TYPES().datetime.serialize(new Date("2024-05-01T08:00:00Z"), GSTable.COLUMN().DATETIME("", "Europe/Rome")); // "2024-05-01T10:00:00+02:00"
+     */
+    static TYPES() {
+        const isEmpty = (value) => typeof value === "undefined" || value === null || value === "";
+        const describe = (value) => value instanceof Date ? String(value) : JSON.stringify(value);
+        const pad = (number) => ("0" + number).slice(-2);
+        const isoDate = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+        function parseDate(value) {
+            if (isEmpty(value)) return "";
+            var date = value instanceof Date ? value : null;
+            // Sheets stores dates as the number of days since 1899-12-30 (25569 is 1970-01-01).
+            if (typeof value === "number") date = new Date((value - 25569) * 86400000);
+            // Only ISO 8601 text: Date() would also accept strings like "1" or "2".
+            if (typeof value === "string" && isoDate.test(value.trim())) date = new Date(value.trim());
+            if (date === null || isNaN(date.getTime())) {
+                throw new Error("expects a date, got " + describe(value));
+            }
+            return date;
+        }
+
+        function parseTime(value) {
+            if (isEmpty(value)) return "";
+            if (value instanceof Date && !isNaN(value.getTime())) {
+                return pad(value.getHours()) + ":" + pad(value.getMinutes());
+            }
+            // Sheets stores times as a fraction of a day.
+            if (typeof value === "number" && value >= 0 && value < 1) {
+                var minutes = Math.round(value * 24 * 60);
+                return pad(Math.floor(minutes / 60)) + ":" + pad(minutes % 60);
+            }
+            var match = /^(\d{1,2}):(\d{1,2})(:\d{1,2})?$/.exec(String(value).trim());
+            if (match === null || Number(match[1]) > 23 || Number(match[2]) > 59) {
+                throw new Error("expects a time in the format hh:mm, got " + describe(value));
+            }
+            return pad(match[1]) + ":" + pad(match[2]);
+        }
+
+        function parseString(value) {
+            if (isEmpty(value)) return "";
+            if (typeof value === "string") return value;
+            if (typeof value === "number" || typeof value === "boolean") return String(value);
+            if (value instanceof Date && !isNaN(value.getTime())) return value.toISOString();
+            throw new Error("expects a string, got " + describe(value));
+        }
+
+        function parseNumber(value) {
+            if (isEmpty(value)) return "";
+            var number = typeof value === "string" && value.trim() !== "" ? Number(value.trim()) : value;
+            if (typeof number !== "number" || !isFinite(number)) {
+                throw new Error("expects a number, got " + describe(value));
+            }
+            return number;
+        }
+
+        function parseBoolean(value) {
+            if (isEmpty(value)) return false;
+            if (typeof value === "boolean") return value;
+            var text = String(value).trim().toLowerCase();
+            if (text === "true" || text === "1") return true;
+            if (text === "false" || text === "0") return false;
+            throw new Error("expects a boolean, got " + describe(value));
+        }
+
+        function parseForeignKey(value) {
+            if (isEmpty(value)) return "";
+            if (typeof value === "string" || typeof value === "number") return String(value);
+            throw new Error("expects the id of the referenced entity, got " + describe(value));
+        }
+
+        function parseFile(value) {
+            if (isEmpty(value)) return "";
+            if (value instanceof GSTableFile || GSTableFile.isBlob(value)) return value;
+            if (typeof value === "string") return new GSTableFile(GSTableFile.idFromUrl(value));
+            throw new Error("expects a Blob, a file id or a Drive URL, got " + describe(value));
+        }
+
+        function serializeFile(value) {
+            var file = parseFile(value);
+            // Blobs are replaced by their file by `uploadFiles()` before writing.
+            if (GSTableFile.isBlob(file)) throw new Error("expects an uploaded file, got a Blob");
+            return file === "" ? "" : file.getId();
+        }
+
+        function parseJson(value) {
+            if (isEmpty(value)) return "";
+            if (typeof value !== "string") return value;
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                throw new Error("expects JSON, got " + describe(value));
+            }
+        }
+
+        function serializeJson(value) {
+            var parsed = parseJson(value);
+            return parsed === "" ? "" : JSON.stringify(parsed);
+        }
+
+        function parseArray(value, column = {}) {
+            var delimiter = column._delimiter || ",";
+            if (isEmpty(value)) return [];
+            if (Array.isArray(value)) {
+                value.forEach((item) => {
+                    if (parseString(item).includes(delimiter)) throw new Error("expects items without '" + delimiter + "', got " + describe(item));
+                });
+                return value;
+            }
+            if (typeof value === "string" || typeof value === "number") {
+                return String(value).split(delimiter).map((item) => item.trim()).filter((item) => item !== "");
+            }
+            throw new Error("expects a list, got " + describe(value));
+        }
+
+        function serializeArray(value, column = {}) {
+            return parseArray(value, column).map((item) => parseString(item)).join(column._delimiter || ",");
+        }
+
+        function parseEnum(value, column = {}) {
+            if (isEmpty(value)) return "";
+            var values = column._values || [];
+            var match = values.find((allowed) => String(allowed) === String(value).trim());
+            if (typeof match === "undefined") {
+                throw new Error("expects one of " + values.join(", ") + ", got " + describe(value));
+            }
+            return match;
+        }
+
+        function parseEmail(value) {
+            var text = parseString(value).trim();
+            if (text !== "" && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) {
+                throw new Error("expects an email address, got " + describe(value));
+            }
+            return text;
+        }
+
+        function parseUrl(value) {
+            var text = parseString(value).trim();
+            if (text !== "" && !/^https?:\/\/[^\s/?#]+\.[^\s]*$/i.test(text)) {
+                throw new Error("expects a web address starting with http(s)://, got " + describe(value));
+            }
+            return text;
+        }
+
+        // Minutes to add to UTC to get the wall clock time of the time zone.
+        function zoneOffset(date, timeZone) {
+            if (timeZone === null || typeof timeZone === "undefined") return -date.getTimezoneOffset();
+            var parts = {};
+            new Intl.DateTimeFormat("en-US", {
+                timeZone, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric",
+            }).formatToParts(date).forEach((part) => parts[part.type] = Number(part.value));
+            var wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+            return Math.round((wall - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+        }
+
+        function serializeDateTime(value, column = {}) {
+            var date = parseDate(value);
+            if (date === "") return "";
+            var offset = zoneOffset(date, column._timeZone);
+            var sign = offset < 0 ? "-" : "+";
+            var wall = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19);
+            return wall + sign + pad(Math.floor(Math.abs(offset) / 60)) + ":" + pad(Math.abs(offset) % 60);
+        }
+
+        function parseDecimal(value, column = {}) {
+            var number = parseNumber(value);
+            if (number === "") return "";
+            var precision = typeof column._precision === "number" ? column._precision : 2;
+            // Shifting the exponent avoids the binary rounding errors of toFixed, e.g. with 1.005,
+            // and works for numbers already written in exponent notation like 1e-7 or 1e+21.
+            var shift = (value, places) => {
+                var [mantissa, exponent = "0"] = String(value).split("e");
+                return Number(mantissa + "e" + (Number(exponent) + places));
+            };
+            var rounded = shift(Math.round(shift(number, precision)), -precision);
+            if (!isFinite(rounded)) {
+                throw new Error("expects a number with " + precision + " decimals, got " + describe(value));
+            }
+            return rounded;
+        }
+
+        return {
+            date: { parse: parseDate, serialize: parseDate },
+            time: { parse: parseTime, serialize: parseTime },
+            str: { parse: parseString, serialize: parseString },
+            number: { parse: parseNumber, serialize: parseNumber },
+            bool: { parse: parseBoolean, serialize: parseBoolean },
+            fk: { parse: parseForeignKey, serialize: parseForeignKey },
+            file: { parse: parseFile, serialize: serializeFile },
+            json: { parse: parseJson, serialize: serializeJson },
+            array: { parse: parseArray, serialize: serializeArray },
+            enum: { parse: parseEnum, serialize: parseEnum },
+            email: { parse: parseEmail, serialize: parseEmail },
+            url: { parse: parseUrl, serialize: parseUrl },
+            datetime: { parse: parseDate, serialize: serializeDateTime },
+            decimal: { parse: parseDecimal, serialize: parseDecimal },
+        };
+    }
+
+    /**
+     * Converts a value according to the type of a column definition.
+     * @static
+     * @param {Object} propertyInfo - The column definition.
+     * @param {any} value - The value to convert.
+     * @param {string} [direction="parse"] - Either "parse" (reading) or "serialize" (writing).
+     * @returns {any} - The converted value, or the value itself if it cannot be converted.
+     *
+     * @description Values that cannot be converted are returned unchanged, so that reading a
+     * sheet never fails because of a single bad cell. Invalid values are reported by
+     * `checkTypes()` and prevent the entity from being persisted.
+     */
+    static coerce(propertyInfo, value, direction = "parse") {
+      var type = this.TYPES()[propertyInfo._type];
+      if (!type) return value;
+      try {
+        return type[direction](value, propertyInfo);
+      } catch (e) {
+        return value;
+      }
     }
   
     /**
@@ -151,6 +573,7 @@ class GSTable {
      * const isValid = GSTable.isColumn(columnDefinition); // Returns true
      */
     static isColumn(propertyInfo = {}) {
+      if(propertyInfo === null || typeof propertyInfo !== "object") return false;
       var keys = Object.keys(propertyInfo);
       if(keys.length === 0) return false;
   
@@ -159,552 +582,6059 @@ class GSTable {
     }
   
     /**
-     * Retrieves table information, including sheet details and headers.
+     * Returns the storage adapter used to read and write the sheets.
      * @static
-     * @returns {Object} - An object with sheet and headers information.
-     *
-     * @description This method is used to obtain information about the Google Sheets
-     * table, such as the sheet name and headers. It also ensures that the sheet exists
-     * in the active spreadsheet or creates one if it doesn't exist. The headers of the
-     * sheet are synchronized with the class properties, adding new headers and removing
-     * any unnecessary ones. The method is responsible for ensuring that the table in
-     * Google Sheets is properly configured and up to date.
-     *
-     * @returns {Object} - An object containing:
-     *   - sheet {GoogleAppsScript.Spreadsheet.Sheet}: The Google Sheets sheet where the table data is stored.
-     *   - headers {Array<string>}: An array of header names that correspond to class properties.
+     * @returns {Object} - The adapter set with `GSTable.useStorage()`, a `GSTableSheetsAdapter`
+     * on the active spreadsheet by default.
      *
-     * @throws {Error} If any error occurs during the creation or update of the sheet.
+     * @description Every access to the spreadsheet, the active user, the script lock and the
+     * log goes through the adapter, so the classes can run outside Apps Script with a
+     * `GSTableMemoryAdapter`. Override it on an extended class to keep that class elsewhere.
      */
-    static getTableInfo() {
-        var emptyObj = new this();
-        var class_props = Object.getOwnPropertyNames(emptyObj);
-      
-        // Filter out non-column properties and get the names of columns.
-        class_props = class_props.filter((prop) => this.isColumn(emptyObj[prop]));
-      
-        // Determine the sheet name based on the class name.
-        var sheet_name = emptyObj.constructor.name;
-        var ss = SpreadsheetApp.getActiveSpreadsheet();
-        var sheet = ss.getSheetByName(sheet_name);
-      
-        var headers = [];
-      
-        if (sheet === null) {
-          // Create a new sheet with headers if it doesn't exist.
-          sheet = ss.insertSheet(sheet_name);
-          sheet.appendRow(class_props);
-          headers = [...class_props];
-        } else {
-          // Update headers based on class properties.
-          headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-          var new_props = class_props.filter((n) => !headers.includes(n));
-      
-          if (new_props.length > 0) {
-            sheet.getRange(1, sheet.getLastColumn() + 1, 1, new_props.length).setValues([new_props]);
-          }
-      
-          var columns_to_delete = headers.filter((n) => !class_props.includes(n));
-      
-          if (columns_to_delete.length > 0) {
-            columns_to_delete.forEach((column) => {
-              var column_index = headers.indexOf(column) + 1;
-              sheet.deleteColumn(column_index);
-            });
-          }
-          headers.concat(new_props);
-        }
-        SpreadsheetApp.flush();
-      
-        return { sheet, headers };
+    static storage() {
+      if (!GSTable.hasOwnProperty("storageAdapter")) GSTable.storageAdapter = new GSTableSheetsAdapter();
+      return GSTable.storageAdapter;
     }
-  
+
     /**
-     * Generates a random ID of the specified length.
+     * Sets the storage adapter used by every class.
      * @static
-     * @param {number} length - The length of the ID to generate.
-     * @returns {string} - A random ID of the specified length.
-     *
-     * @description This static method generates a random alphanumeric ID of the specified length.
+     * @param {Object} adapter - The adapter, see `GSTableSheetsAdapter` for the methods it needs.
+     * @returns {Function} - `GSTable`, for chaining.
      *
-     * @param {number} length - The length of the ID to generate.
-     * @returns {string} - A random ID consisting of uppercase letters, lowercase letters, and digits.
-     *
-     * @throws {Error} If the length is less than or equal to 0.
+     * @description The cache of every class is cleared, since it was read from the previous storage.
      *
      * @example
-     * const id = GSTable.generateId(8); // Generates an 8-character random ID.
+     * // Run the models against plain arrays, e.g. in unit tests under Node
+     * const memory = new GSTableMemoryAdapter();
+     * GSTable.useStorage(memory);
+     * new Item('pen', 10).persist();
+     * memory.sheets.Item.values; // [["id", ...], ["aB3dE9xZ", ...]]
      */
-    static generateId(length) {
-        if (length <= 0) {
-            // Throw an error if the length is invalid.
-            throw new Error('Length must be greater than 0');
-        }
-
-        let result = '';
-        const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-        const charactersLength = characters.length;
-        let counter = 0;
-
-        // Generate the random ID character by character.
-        while (counter < length) {
-            result += characters.charAt(Math.floor(Math.random() * charactersLength));
-            counter += 1;
-        }
-
-        return result;
+    static useStorage(adapter) {
+      GSTable.storageAdapter = adapter;
+      GSTable.clearCache();
+      return GSTable;
     }
-  
+
     /**
-     * Converts raw data from a Google Sheets range into an array of objects.
+     * Sets options shared by every class.
      * @static
-     * @param {Array} [rawData=[]] - The raw data to be converted.
-     * @returns {Array} - An array of objects with property-value pairs.
+     * @param {Object} options - The options to set, merged with the ones set before:
+     *   - spreadsheetId {string|null}: The id of the spreadsheet holding the tables, null for
+     *     the active spreadsheet. Required in standalone scripts and web apps, which have no
+     *     active spreadsheet.
+     *   - sheetFormatting {boolean|Object}: The default of `sheetFormatting()`.
+     * @returns {Function} - `GSTable`, for chaining.
      *
-     * @description This static method is used to convert raw data retrieved from a Google
-     * Sheets range into an array of JavaScript objects. Each object represents a row of data,
-     * with property names corresponding to the headers from the raw data. The method handles
-     * mapping the headers to properties and creating objects for each row.
-     *
-     * @param {Array} [rawData=[]] - The raw data retrieved from a Google Sheets range.
-     * @returns {Array} - An array of objects, each representing a row of data.
+     * @description The cache of every class is cleared, since it may point to another spreadsheet.
      *
      * @example
-     * const rawData = [
-     *   ['Name', 'Age', 'City'],
-     *   ['Alice', 28, 'New York'],
-     *   ['Bob', 35, 'Los Angeles'],
-     * ];
-     * const data = GSTable.fromRawDataToArrayOfObject(rawData);
-     * // Returns an array of objects like:
-     * // [{ Name: 'Alice', Age: 28, City: 'New York' }, { Name: 'Bob', Age: 35, City: 'Los Angeles' }]
+     * GSTable.configure({ spreadsheetId: '1AbC...xYz' });
      */
-    static fromRawDataToArrayOfObject(rawData = []) {
-        const headers = rawData.shift();
-        var result = []
-        rawData.forEach((row, row_id) => {
-          // add 2 because of the headers and arrays starts from 0
-          var data = {
-            row_number: row_id + 2
-          }
-          row.forEach((cell, index) => {
-            data[headers[index]] = cell
-          })
-          result.push(data)
-        })
-        return result;
+    static configure(options = {}) {
+      GSTable.configuration = Object.assign({}, GSTable.configuration, options);
+      GSTable.clearCache();
+      return GSTable;
     }
-  
+
     /**
-     * Finds and returns an entity by its ID.
+     * Returns the name of the sheet holding the table of the class.
      * @static
-     * @param {string} id - The ID to search for.
-     * @returns {Object|null} - The entity matching the given ID, or null if not found.
-     *
-     * @description This static method searches for an entity within the data associated with
-     * the `GSTable` class based on its ID. If a matching entity is found, it is returned as
-     * an object. If no entity with the specified ID is found, the method returns null.
+     * @returns {string} - The sheet name, the class name by default.
      *
-     * @param {string} id - The ID of the entity to search for.
-     * @returns {Object|null} - The entity with the specified ID, or null if not found.
+     * @description Override it to rename the class without renaming the sheet, or to use a
+     * sheet name that is not a valid class name.
      *
      * @example
-     * const idToFind = 'ABC123';
-     * const foundEntity = MyTable.findById(idToFind);
-     * if (foundEntity) {
-     *   console.log('Entity found:', foundEntity);
-     * } else {
-     *   console.log('Entity not found with ID:', idToFind);
+     * class Item extends GSTable {
+     *   static tableName() {
+     *     return 'Inventory items';
+     *   }
      * }
      */
-    static findById(id) {
-      return this.findAll().find((entity) => entity.id._value === id);
+    static tableName() {
+      return this.name;
     }
-  
+
     /**
-     * Filters entities based on user-defined conditions.
+     * Returns the id of the spreadsheet holding the table of the class.
      * @static
-     * @param {Object} conditions - The filtering conditions as key-value pairs.
-     * @returns {Array} - An array of entities that match the specified conditions.
-     *
-     * @description This static method filters entities associated with the `GSTable` class
-     * based on user-defined conditions. It takes an object with key-value pairs, where each
-     * key represents a property and each value is a function that defines a condition. Only
-     * entities that satisfy all the conditions are included in the result.
+     * @returns {string|null} - The spreadsheet id set with `GSTable.configure()`, or null for
+     * the active spreadsheet.
      *
-     * @param {Object} conditions - An object with key-value pairs representing filtering conditions.
-     * @returns {Array} - An array of entities that meet all specified conditions.
+     * @description Override it to keep a class in its own spreadsheet. Foreign keys work
+     * across spreadsheets, since every class reads its own table.
      *
      * @example
-     * // Example conditions to filter entities:
-     * const conditions = {
-     *   Age: (age) => age >= 18, // Filter entities with age greater than or equal to 18.
-     *   City: (city) => city === 'New York', // Filter entities with 'City' equal to 'New York'.
-     * };
-     * const filteredEntities = MyTable.filterByConditions(conditions);
-     * console.log('Filtered entities:', filteredEntities);
+     * class Customer extends GSTable {
+     *   static spreadsheetId() {
+     *     return '1AbC...xYz';
+     *   }
+     * }
      */
-    static filterByConsitions(conditions) {
-      var condition_keys = Object.keys(conditions);
-      if(condition_keys.length === 0) return [];
-  
-      return this.findAll().filter((entity) => {
-        return condition_keys.every(key => {
-          // ignores non-function predicates
-          if (typeof conditions[key] !== 'function') return true;
-          return conditions[key](entity[key]);
-        });
-      });
+    static spreadsheetId() {
+      var configuration = GSTable.configuration || {};
+      return configuration.spreadsheetId || null;
     }
-  
+
     /**
-     * Retrieves all entities associated with the `GSTable` class.
+     * Names the Drive folders holding the files of the FILE columns.
      * @static
-     * @returns {Array} - An array of all entities available in the data.
-     *
-     * @description This static method retrieves all entities associated with the `GSTable`
-     * class from the data source, a Google Sheets table. It converts the raw data
-     * into an array of JavaScript objects, where each object represents an entity.
-     *
-     * @returns {Array} - An array of all entities available in the data source.
+     * @returns {Object<string, string>} - The folder names, by the key given to `COLUMN().FILE()`
+     * or by property name.
      *
      * @example
-     * const allEntities = MyTable.findAll();
-     * console.log('All entities:', allEntities);
+     * class Item extends GSTable {
+     *   constructor(name, image) {
+     *     super();
+     *     this.name = GSTable.COLUMN().STRING(name);
+     *     this.image = GSTable.COLUMN().FILE(image, "images", false);
+     *   }
+     *
+     *   static folderNames() {
+     *     return { "images": "Item_Images" };
+     *   }
+     * }
      */
-    static findAll() {
-      var {sheet} = this.getTableInfo();
-      var rawArray = this.fromRawDataToArrayOfObject(sheet.getDataRange().getValues());
-      return rawArray.map((rawEntity) => this.fromJson(rawEntity));
+    static folderNames() {
+      return {};
     }
-  
+
     /**
-     * Converts a raw data object into an entity object.
+     * Returns the name of the Drive folder holding the files of a FILE column.
      * @static
-     * @param {Object} rawObject - The raw data object to be converted.
-     * @returns {Object} - An entity object created from the raw data.
+     * @param {string} property - The property of the column.
+     * @returns {string} - The name found in `folderNames()`, else the folder given to
+     * `COLUMN().FILE()`, else the table name followed by the property, like "Item_image".
+     */
+    static folderName(property) {
+      var column = this.getColumns()[property];
+      var key = column && column._folder ? column._folder : property;
+      var names = this.folderNames();
+      if (names.hasOwnProperty(key)) return names[key];
+      return column && column._folder ? column._folder : this.tableName() + "_" + property;
+    }
+
+    /**
+     * Retrieves table information, including sheet details and headers.
+     * @static
+     * @returns {Object} - An object with sheet and headers information.
      *
-     * @description This static method is used to convert a raw data object, typically
-     * retrieved from a data source, into an entity object associated with the class 
-     * extended by `GSTable`. The method maps the properties of the raw data object 
-     * to the properties of the entity and returns the resulting entity.
+     * @description This method is used to obtain information about the Google Sheets
+     * table, such as the sheet name and headers. It also ensures that the sheet named
+     * `tableName()` exists in the spreadsheet of the class (see `spreadsheetId()`) or
+     * creates one if it doesn't exist. Pending migrations
+     * declared in `migrations()` are applied, then the headers of the sheet are synchronized
+     * with the class properties by adding the missing ones. Columns that do not match any
+     * property are kept and reported, unless `unknownColumns()` says otherwise. The result
+     * is kept in the per-execution cache (see `clearCache()`), so the sheet is looked up and
+     * its headers synchronized only on the first call of each execution.
      *
-     * @param {Object} rawObject - The raw data object to be converted into an entity.
-     * @returns {Object} - An entity object created from the raw data.
+     * @returns {Object} - An object containing:
+     *   - sheet {Object}: The sheet where the table data is stored, as returned by the storage
+     *     adapter (see `storage()`): a Google Sheets sheet by default.
+     *   - headers {Array<string>}: The properties of the columns, in sheet order (the headers
+     *     of the columns that do not correspond to any property are kept as they are).
+     *   - labels {Array<string>}: The header row of the sheet, see `labelOf()`.
+     *   - unknown {Array<string>}: The headers that do not correspond to any class property.
      *
-     * @example
-     * const rawEntityData = {
-     *   Name: 'Alice',
-     *   Age: 28,
-     *   City: 'New York',
-     * };
-     * const entity = MyTable.fromJson(rawEntityData);
-     * console.log('Entity created from raw data:', entity);
+     * @throws {Error} If any error occurs during the creation or update of the sheet.
      */
-    static fromJson(rawObject) {
-      var dummyObj = new this();
-      var properties = Object.getOwnPropertyNames(dummyObj);
-  
-      properties.forEach((property) => {
-        if(this.isColumn(dummyObj[property])) {
-          dummyObj[property]._value = rawObject[property];
-        } else {
-          dummyObj[property] = rawObject[property];
+    static getTableInfo() {
+      var cache = this.cache();
+      if (cache.tableInfo === null) {
+        GSTable.register(this);
+        cache.tableInfo = this.syncTableInfo();
+        cache.values = null;
+      }
+      return cache.tableInfo;
+    }
+
+    /**
+     * Looks up the sheet of the class and synchronizes its headers, bypassing the cache.
+     * @static
+     * @returns {Object} - An object with sheet and headers information, see `getTableInfo()`.
+     */
+    static syncTableInfo() {
+        var storage = this.storage();
+        var sheet = storage.getSheet(this.tableName(), this.spreadsheetId());
+        var plan = this.planMigration(sheet);
+
+        if (sheet === null) {
+          // Create a new sheet with headers if it doesn't exist.
+          sheet = storage.createSheet(this.tableName(), this.spreadsheetId());
         }
-      });
-  
-      return dummyObj;
+        this.applyMigration(sheet, plan);
+        var changed = plan.create || plan.steps.length > 0 || plan.added.length > 0 || plan.dropped.length > 0 || plan.relabeled.length > 0;
+        if (changed && this.sheetFormatting()) this.formatSheet(sheet, plan.headers);
+        storage.flush();
+
+        return {
+          sheet,
+          headers: plan.headers,
+          labels: plan.headers.map((column) => this.labelOf(column)),
+          unknown: plan.dropped.length > 0 ? [] : plan.unknown,
+        };
     }
-  
+
     /**
-     * Sets the value of a specific column in the entity.
-     * @param {string} key - The property key for which to set the value.
-     * @param {any} value - The new value to assign to the property.
-     *
-     * @description This method allows you to set the value of a specific column in the entity
-     * associated with the extended class by `GSTable`. Provide the property key and the new 
-     * value to update the column's value.
+     * Declares the schema migrations of the class.
+     * @static
+     * @returns {Array<Object>} - The migrations, each containing:
+     *   - version {number}: The schema version reached once the migration is applied.
+     *   - steps {Array<Object>}: The changes to apply, in order. Each step is one of
+     *       `{ rename: "old_name", to: "new_name" }` - renames a column keeping its data;
+     *       `{ drop: "column" }` - deletes a column and its data;
+     *       `{ add: "column", default: value }` - adds a column and fills the existing rows with
+     *       `value`, or with `value(row)` if it is a function receiving the row as an object.
      *
-     * @param {string} key - The property key to set the value for.
-     * @param {any} value - The new value to assign to the property.
+     * @description Override this static method to evolve the sheet of a class without losing
+     * data. The version reached by each table is stored in the `_schema` sheet of the
+     * spreadsheet, and `getTableInfo()` applies the migrations with a higher version the
+     * first time the table is used. Tables created from scratch start at the latest version.
+     * Use `migrate({ dryRun: true })` to see what would change.
      *
      * @example
-     * const entity = MyTable.findById('ABC123');
-     * entity.setValue('Age', 30);
-     * console.log('Updated Age:', entity.getValue('Age'));
+     * class Item extends GSTable {
+     *   static migrations() {
+     *     return [
+     *       { version: 1, steps: [{ rename: "qty", to: "quantity" }] },
+     *       { version: 2, steps: [{ drop: "notes" }, { add: "active", default: true }] },
+     *     ];
+     *   }
+     * }
      */
-    setValue(key, value) {
-      this[key]._value = value;
+    static migrations() {
+      return [];
     }
-  
+
     /**
-     * Gets the value of a specific column in the entity.
-     * @param {string} key - The property key for which to retrieve the value.
-     * @returns {any} - The value of the specified property.
-     *
-     * @description This method retrieves the value of a specific column in the entity
-     * associated with the class extended by `GSTable`. You can use the property key as 
-     * a parameter to fetch the corresponding column's value.
-     *
-     * @param {string} key - The name of the column to retrieve the value for.
-     * @returns {any} - The value of the specified column.
+     * Declares what to do with sheet columns that match no class property.
+     * @static
+     * @returns {string} - "keep" to leave them untouched and report them (default) or "drop"
+     * to delete them together with their data.
      *
      * @example
-     * const entity = MyTable.findById('ABC123');
-     * const ageValue = entity.getValue('Age');
-     * console.log('Age:', ageValue);
+     * class Scratch extends GSTable {
+     *   static unknownColumns() {
+     *     return "drop";
+     *   }
+     * }
      */
-    getValue(key) {
-      return this[key]._value;
+    static unknownColumns() {
+      return "keep";
     }
-  
+
     /**
-     * Retrieves an array of values used to update the row on the Spreadsheet.
-     * @returns {Array} - An array of property values ready for an update operation.
-     *
-     * @description This method extracts the values of properties in the entity that are
-     * marked for update and returns them as an array. It prepares the property values for
-     * updating the associated data source, typically a Google Sheets table.
-     *
-     * @returns {Array} - An array of property values ready for an update operation.
+     * Applies the pending migrations of the class, or only reports them.
+     * @static
+     * @param {Object} [options={}] - The migration options:
+     *   - dryRun {boolean}: When true nothing is written and the plan is only returned.
+     * @returns {Object} - The plan, see `planMigration()`.
      *
      * @example
-     * const entity = MyTable.findById('ABC123');
-     * const updateArray = entity.getUpdateArray();
-     * console.log('Values for update:', updateArray);
+     * const plan = Item.migrate({ dryRun: true });
+     * plan.steps.forEach((step) => Logger.log(JSON.stringify(step)));
+     * Item.migrate();
      */
-    getUpdateArray() {
-      var updateArray = [];
-      var {headers} = this.constructor.getTableInfo();
-  
-      headers.forEach((header) => {
-        var propertyInfo = this[header];
-
-        if(this.constructor.isColumn(propertyInfo)) {
-            updateArray.push(propertyInfo._value);
-        }
-      });
-      return updateArray;
+    static migrate(options = {}) {
+      var {dryRun = false} = options;
+      if (dryRun) {
+        return this.planMigration(this.storage().getSheet(this.tableName(), this.spreadsheetId()));
+      }
+      this.clearCache();
+      this.getTableInfo();
+      return this.cache().lastMigration;
     }
-  
+
     /**
-     * Checks if required properties have values in the entity.
-     * @param {Array} headers - An array of property names to check.
-     * @param {Array} updateArray - An array of property values for update.
-     * @returns {Array} - An array of property names that are required but missing values.
-     *
-     * @description This method checks if required properties in the entity have values assigned.
-     * It takes an array of property names to check and an array of property values prepared for
-     * an update operation. It returns an array of property names that are required but do not
-     * have values in the update array.
-     *
-     * @param {Array} headers - An array of property names to check.
-     * @param {Array} updateArray - An array of property values for update.
-     * @returns {Array} - An array of property names that are required but missing values.
+     * Computes the changes needed to bring the sheet up to date, without writing anything.
+     * @static
+     * @param {Object|null} sheet - The sheet of the class, or null if it does not exist.
+     * @returns {Object} - An object containing:
+     *   - create {boolean}: True if the sheet has to be created.
+     *   - from {number}: The schema version stored for the table.
+     *   - to {number}: The schema version after the migration.
+     *   - steps {Array<Object>}: The migration steps to apply, with their `version` and `action`.
+     *     Steps that cannot be applied are listed with a `skipped` reason.
+     *   - added {Array<string>}: The class properties without a column, added empty.
+     *   - unknown {Array<string>}: The columns that match no class property.
+     *   - dropped {Array<string>}: The unknown columns that will be deleted.
+     *   - relabeled {Array<{column: string, from: string, to: string}>}: The headers rewritten
+     *     to match the `label` of their column.
+     *   - headers {Array<string>}: The properties of the columns once the migration is applied,
+     *     in sheet order (unknown columns keep their header).
      *
-     * @example
-     * const entity = MyTable.findById('ABC123');
-     * const headers = ['Name', 'Age', 'City'];
-     * const updateArray = [ 'Alice', 28, 'New York' ];
-     * const missingRequired = entity.checkRequired(headers, updateArray); //length === 0
-     * console.log('Missing required properties:', missingRequired);
+     * @description Headers are matched to properties by `label` or by property name, see
+     * `propertyOf()`.
      */
-    checkRequired(headers, updateArray) {
-      var wrongs = [];
-      for(let i = 0; i < headers.length; i++) {
-        let header = headers[i];
-        let element = updateArray[i];
-  
-        if(this[header]._required && (typeof element === "undefined" || element === "")) {
-          wrongs.push(header);
-        };
+    static planMigration(sheet) {
+      var columns = Object.keys(this.getColumns());
+      var migrations = this.migrations().slice().sort((a, b) => a.version - b.version);
+      var latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+      if (sheet === null) {
+        return { create: true, from: 0, to: latest, steps: [], added: columns, unknown: [], dropped: [], relabeled: [], headers: columns };
       }
-      return wrongs;
+
+      var current = migrations.length > 0 ? this.getSchemaVersion() : 0;
+      var labels = this.storage().readHeader(sheet);
+      var headers = labels.map((label) => this.propertyOf(label));
+      var relabeled = labels
+        .map((label, index) => ({ column: headers[index], from: label, to: this.labelOf(headers[index]) }))
+        .filter((change) => columns.includes(change.column) && change.from !== change.to);
+      var steps = [];
+
+      migrations.filter((migration) => migration.version > current).forEach((migration) => {
+        (migration.steps || []).forEach((definition) => {
+          var version = migration.version;
+          // Steps may name columns by label as well.
+          var step = {};
+          Object.keys(definition).forEach((key) => {
+            step[key] = ["rename", "to", "drop", "add"].includes(key) ? this.propertyOf(definition[key]) : definition[key];
+          });
+          if (step.hasOwnProperty("rename")) {
+            var skipped = !headers.includes(step.rename) ? "column not found"
+              : headers.includes(step.to) ? "column '" + step.to + "' already exists" : null;
+            steps.push(skipped ? { version, action: "rename", from: step.rename, to: step.to, skipped }
+              : { version, action: "rename", from: step.rename, to: step.to });
+            if (!skipped) headers[headers.indexOf(step.rename)] = step.to;
+          } else if (step.hasOwnProperty("drop")) {
+            if (headers.includes(step.drop)) {
+              steps.push({ version, action: "drop", column: step.drop });
+              headers.splice(headers.indexOf(step.drop), 1);
+            } else {
+              steps.push({ version, action: "drop", column: step.drop, skipped: "column not found" });
+            }
+          } else if (step.hasOwnProperty("add")) {
+            steps.push({ version, action: "add", column: step.add, default: step.default });
+            if (!headers.includes(step.add)) headers.push(step.add);
+          } else {
+            throw new Error("Unknown migration step in version " + version + ": " + JSON.stringify(step));
+          }
+        });
+      });
+
+      var added = columns.filter((column) => !headers.includes(column));
+      var unknown = headers.filter((header) => header !== "" && !columns.includes(header));
+      var dropped = this.unknownColumns() === "drop" ? unknown : [];
+      headers = headers.concat(added).filter((header) => !dropped.includes(header));
+
+      return { create: false, from: current, to: Math.max(current, latest), steps, added, unknown, dropped, relabeled, headers };
     }
-  
+
     /**
-     * Persists changes made to the entity in the data source.
-     *
-     * @description This method is used to persist changes made to the entity associated with
-     * the expanded class by `GSTable` to the data source, a Google Sheets table. It updates
-     * the modified timestamp and the last modified by user, assigns an ID if needed, and
-     * adds or updates the entity's data in the data source.
-     *
-     * @throws {Error} If required properties have missing values.
+     * Writes a plan computed by `planMigration()` to the sheet.
+     * @static
+     * @param {Object} sheet - The sheet of the class.
+     * @param {Object} plan - The plan to apply.
      *
-     * @example
-     * const entity = new MyTable();
-     * entity.setValue('Name', 'Alice');
-     * entity.setValue('Age', 28);
-     * entity.persist();
+     * @description Columns are looked up by name before every change, so deleting a column
+     * never shifts the position of the next one to change.
      */
-    persist() {
-      var {sheet, headers} = this.constructor.getTableInfo();
-  
-      this.modified._value = new Date();
-      var active_user = Session.getActiveUser();
-      if(active_user !== null) this.last_modified_by._value = active_user.getEmail();
-  
-      var updateArray = [...this.getUpdateArray()];
-  
-      if (this.id._value === "") {
-        var newEntityProps = {
-          id: this.constructor.generateId(8),
-          created: this.modified._value,
-          created_by: this.last_modified_by._value
-        }
-        Object.keys(newEntityProps).forEach((prop) => {
-          var pos = headers.indexOf(prop);
-          updateArray[pos] = this[prop]._value = newEntityProps[prop];
+    static applyMigration(sheet, plan) {
+      var storage = this.storage();
+      var readHeaders = () => storage.readHeader(sheet).map((label) => this.propertyOf(label));
+
+      if (plan.create) {
+        storage.append(sheet, [plan.headers.map((column) => this.labelOf(column))]);
+      } else {
+        plan.steps.filter((step) => !step.skipped).forEach((step) => {
+          var headers = readHeaders();
+          if (step.action === "rename") {
+            storage.writeRange(sheet, 1, headers.indexOf(step.from) + 1, [[this.labelOf(step.to)]]);
+          } else if (step.action === "drop") {
+            storage.deleteColumn(sheet, headers.indexOf(step.column) + 1);
+          } else if (step.action === "add") {
+            this.backfillColumn(sheet, headers, step.column, step.default);
+          }
         });
-        var wrongs = this.checkRequired(headers, updateArray);
-        if(wrongs.length > 0) {
-          throw new Error("'" + wrongs.join('\', \'') + "' are marked as 'required'");
+
+        if (plan.relabeled.length > 0) {
+          var current = readHeaders();
+          storage.writeRange(sheet, 1, 1, [current.map((header) => this.labelOf(header))]);
+        }
+
+        if (plan.added.length > 0) {
+          storage.writeRange(sheet, 1, storage.lastColumn(sheet) + 1, [plan.added.map((column) => this.labelOf(column))]);
+        }
+
+        if (plan.dropped.length > 0) {
+          var headers = readHeaders();
+          plan.dropped.map((column) => headers.indexOf(column)).sort((a, b) => b - a).forEach((index) => {
+            storage.deleteColumn(sheet, index + 1);
+          });
         }
-        sheet.appendRow(updateArray);
-        this.row_number = sheet.getLastRow();
-      } else if(this.row_number > 0) {
-        var wrongs = this.checkRequired(headers, updateArray);
-        if(wrongs.length > 0) {
-          throw new Error("'" + wrongs.join('\', \'') + "' are marked as 'required'");
+        if (plan.unknown.length > 0 && plan.dropped.length === 0) {
+          storage.log(this.name + ": kept columns not declared in the class: " + plan.unknown.join(", "));
         }
-        sheet.getRange(this.row_number, 1, 1, sheet.getLastColumn()).setValues([updateArray]);
       }
-  
-      SpreadsheetApp.flush();
+
+      var columns = this.getColumns();
+      plan.added.filter((column) => (columns[column]._options || {}).hidden).forEach((column) => {
+        storage.hideColumn(sheet, plan.headers.indexOf(column) + 1);
+      });
+
+      if (this.migrations().length > 0 && (plan.create || plan.to !== plan.from)) {
+        this.setSchemaVersion(plan.to);
+      }
+      this.cache().lastMigration = plan;
     }
-  
+
     /**
-     * Removes the entity from the data source.
+     * Declares which Sheets features `getTableInfo()` applies to the sheet of the class.
+     * @static
+     * @returns {boolean|Object} - False (default) to leave the sheet as it is, true for every
+     * feature, or an object choosing them:
+     *   - header {boolean}: Freezes the header row and makes it bold.
+     *   - formats {boolean}: Sets the number format of each column from its type, see `formatSheet()`.
+     *   - validation {boolean}: Adds data validation matching the type of each column.
+     *   - protect {boolean|string}: Protects the system columns `id`, `created`, `created_by`,
+     *     `modified` and `last_modified_by`. `true` or "warning" only warns whoever edits them,
+     *     "editors" lets only the owner edit them (everyone running the script must then be
+     *     allowed to edit them too, or their writes fail).
      *
-     * @description This method is used to remove the entity associated with the expanded
-     * class by `GSTable` from the data source, a Google Sheets table. It deletes the 
-     * entity's data from the data source and resets the entity's row number to indicate
-     * removal.
+     * @description The features are applied when the sheet is created and whenever its columns
+     * change; call `formatSheet()` to apply them to an existing sheet. The default can be set
+     * for every class with `GSTable.configure({ sheetFormatting: true })`.
      *
      * @example
-     * const entity = MyTable.findById('ABC123');
-     * entity.remove();
+     * class Item extends GSTable {
+     *   static sheetFormatting() {
+     *     return { header: true, formats: true, validation: true, protect: "warning" };
+     *   }
+     * }
      */
-    remove() {
-      if (this.row_number === 0) return;
-  
-      var {sheet} = this.constructor.getTableInfo();
-      sheet.getRange(this.row_number, 1, 1, sheet.getLastColumn()).deleteCells(SpreadsheetApp.Dimension.ROWS);
-  
-      this.row_number = 0;
-  
-      SpreadsheetApp.flush();
+    static sheetFormatting() {
+      var configuration = GSTable.configuration || {};
+      return configuration.sheetFormatting || false;
     }
-  
+
     /**
-     * Expands properties with foreign key references in the entity.
+     * Applies the Sheets features chosen by `sheetFormatting()` to the sheet of the class.
+     * @static
+     * @param {Object} [sheet] - The sheet of the class, read from `getTableInfo()` when omitted.
+     * @param {Array<string>} [headers] - The properties of the columns, in sheet order.
+     * @returns {Object} - The applied features, as returned by `sheetFeatures()`.
      *
-     * @description This method is used to expand properties within the entity associated with
-     * the extended class by`GSTable` that have foreign key references. It loads and associates 
-     * related entities based on the foreign key values, enhancing the entity's data with 
-     * detailed information from related entities.
+     * @description With `validation`, BOOLEAN columns get a TRUE/FALSE dropdown, ENUM columns
+     * (and columns with the `values` option) a dropdown of their values, FOREIGNKEY columns a
+     * dropdown of the ids of the referenced sheet (when it is in the same spreadsheet),
+     * NUMBER, DECIMAL and DATE columns reject other values and EMAIL and URL columns reject
+     * invalid addresses. With `formats`, dates, times, numbers and decimals get a matching number format
+     * and text columns the plain text format, so that Sheets does not turn ids like "0012" or
+     * lists like "1,2" into numbers. The `format` and `validation` column options override both.
      *
      * @example
-     * const entity = MyTable.findById('ABC123');
-     * entity.expand();
+     * Item.formatSheet(); // once, after enabling sheetFormatting() on an existing sheet
      */
-    expand() {
-      var properties = Object.getOwnPropertyNames(this);
-  
-      properties.forEach((prop) => {
-        var propertyInfo = this[prop];
-        if(this.constructor.isColumn(propertyInfo) && propertyInfo.hasOwnProperty("_class")) {
-          this[prop + "_"] = propertyInfo._class.findById(propertyInfo._value);
+    static formatSheet(sheet = null, headers = null) {
+      if (sheet === null || headers === null) {
+        var info = this.getTableInfo();
+        sheet = info.sheet;
+        headers = info.headers;
+      }
+      var storage = this.storage();
+      var features = this.sheetFeatures();
+      var columns = this.getColumns();
+
+      if (features.header) storage.freezeHeader(sheet);
+      headers.forEach((header, index) => {
+        var column = columns[header];
+        if (!column) return;
+        var options = column._options || {};
+        if (features.formats) {
+          var format = options.format || this.columnFormat(column);
+          if (format) storage.setColumnFormat(sheet, index + 1, format);
         }
-      })
+        if (features.validation && options.validation !== false) {
+          var rule = this.columnValidation(column, sheet, headers);
+          if (rule) storage.setColumnValidation(sheet, index + 1, rule);
+        }
+      });
+      if (features.protect) {
+        var system = ["id", "created", "created_by", "modified", "last_modified_by"];
+        system.filter((header) => headers.includes(header)).forEach((header) => {
+          storage.protectColumn(sheet, headers.indexOf(header) + 1, "GSTable " + this.tableName() + "." + header, features.protect !== "editors");
+        });
+      }
+      return features;
     }
-  
+
     /**
-     * Converts the entity into a simplified JavaScript object.
-     * @returns {Object} - A simplified JavaScript object representing the entity.
-     *
-     * @description This method is used to convert the entity associated with the class 
-     * extended by `GSTable` into a simplified JavaScript object. The resulting object 
-     * includes property-value pairs from the entity, making it suitable for serialization 
-     * and stringification or easier inspection of entity data.
-     *
-     * @returns {Object} - A simplified JavaScript object representing the entity.
-     *
-     * @example
-     * const entity = MyTable.findById('ABC123');
-     * const simpleObject = entity.toSimpleObject();
-     * console.log('Simplified entity:', simpleObject);
+     * Expands the value of `sheetFormatting()`.
+     * @static
+     * @returns {Object} - The `header`, `formats`, `validation` and `protect` features, each
+     * false when disabled.
      */
-    toSimpleOjbect(extendWith = null) {
-      var plainObj = {};
-      var toStringify = this;
-      var properties = Object.getOwnPropertyNames(this);
-  
-      properties.forEach((property) => {
-        var propertyInfo = toStringify[property];
-        if(this.constructor.isColumn(propertyInfo)) {
-          plainObj[property] = propertyInfo._value;
-        } else if(propertyInfo instanceof GSTable) {
-          plainObj[property] = propertyInfo.toSimpleOjbect();
-        }
-      })
-      return this.objectExtension(plainObj, extendWith);
+    static sheetFeatures() {
+      var chosen = this.sheetFormatting();
+      var features = { header: false, formats: false, validation: false, protect: false };
+      Object.keys(features).forEach((feature) => {
+        features[feature] = chosen === true ? true : chosen && chosen.hasOwnProperty(feature) ? chosen[feature] : false;
+      });
+      return features;
     }
-  
+
     /**
-     * Extends the simpleObject with custom properties overwritten in the extended class.
-     * @param {Object} simpleObject - The object to extend.
-     * @param {any} extendWith - An object or an array to use to extend.
-     * @returns {Object} - A simplified JavaScript object representing the entity with other properties.
-     *
-     * @description This method is used to add properties to the simpleObject. Override it on the class 
-     * extended by `GSTable` and add your preferred properties. The resulting object 
-     * includes property-value pairs from the entity, making it suitable for serialization 
-     * and stringification or easier inspection of entity data.
+     * Returns the default number format of a column.
+     * @static
+     * @param {Object} column - The column definition.
+     * @returns {string|null} - A Sheets number format, or null to keep the one of the sheet.
+     */
+    static columnFormat(column) {
+      switch (column._type) {
+        case "date":
+          return "yyyy-mm-dd hh:mm";
+        case "time":
+          return "hh:mm";
+        case "number":
+          return "0.########";
+        case "decimal":
+          var precision = typeof column._precision === "number" ? column._precision : 2;
+          return precision > 0 ? "0." + "0".repeat(precision) : "0";
+        case "str":
+        case "fk":
+        case "file":
+        case "json":
+        case "array":
+        case "enum":
+        case "email":
+        case "url":
+        case "datetime":
+          return "@";
+      }
+      return null;
+    }
+
+    /**
+     * Describes the data validation of a column, for the storage adapter.
+     * @static
+     * @param {Object} column - The column definition.
+     * @param {Object} sheet - The sheet of the class, for foreign keys referencing the class itself.
+     * @param {Array<string>} headers - The properties of the columns of that sheet.
+     * @returns {Object|null} - The rule, one of `{ values }` (a dropdown), `{ sheet, column }`
+     * (a dropdown of the values of a column of another sheet, from row 2), `{ number, min, max }`,
+     * `{ date: true }`, `{ email: true }` or `{ url: true }`; null for no validation.
+     */
+    static columnValidation(column, sheet, headers) {
+      var options = column._options || {};
+      if (Array.isArray(options.values)) return { values: options.values };
+
+      switch (column._type) {
+        case "bool":
+          return { values: [true, false] };
+        case "enum":
+          return { values: column._values };
+        case "fk":
+          if (!column._class || column._class.spreadsheetId() !== this.spreadsheetId()) return null;
+          // The table of the class itself is being synchronized and not cached yet.
+          var target = column._class === this ? { sheet, headers } : column._class.getTableInfo();
+          var idColumn = target.headers.indexOf("id") + 1;
+          return idColumn > 0 ? { sheet: target.sheet, column: idColumn } : null;
+        case "number":
+        case "decimal":
+          var rule = { number: true };
+          if (typeof options.min === "number") rule.min = options.min;
+          if (typeof options.max === "number") rule.max = options.max;
+          return rule;
+        case "date":
+          return { date: true };
+        case "email":
+          return { email: true };
+        case "url":
+          return { url: true };
+      }
+      return null;
+    }
+
+    /**
+     * Adds a column if missing and fills its empty cells with a default value.
+     * @static
+     * @param {Object} sheet - The sheet of the class.
+     * @param {Array<string>} headers - The current header row.
+     * @param {string} column - The column to add or fill.
+     * @param {any|Function} defaultValue - The value to write, or a function receiving the row as an object.
+     */
+    static backfillColumn(sheet, headers, column, defaultValue) {
+      var storage = this.storage();
+      var position = headers.indexOf(column);
+      if (position === -1) {
+        position = headers.length;
+        storage.writeRange(sheet, 1, position + 1, [[this.labelOf(column)]]);
+      }
+      var rowsCount = storage.lastRow(sheet) - 1;
+      if (rowsCount <= 0 || typeof defaultValue === "undefined") return;
+
+      var rows = storage.readRange(sheet, 2, 1, rowsCount, Math.max(headers.length, position + 1));
+      var columnInfo = this.getColumns()[column];
+      var filled = rows.map((row, index) => {
+        if (row[position] !== "") return [row[position]];
+        var value = typeof defaultValue === "function"
+          ? defaultValue(this.rowToObject(headers, row, index + 2))
+          : defaultValue;
+        return [columnInfo ? this.coerce(columnInfo, value, "serialize") : value];
+      });
+      storage.writeRange(sheet, 2, position + 1, filled);
+    }
+
+    /**
+     * Returns the sheet where the schema version of each table is stored, creating it if needed.
+     * @static
+     * @returns {Object} - The `_schema` sheet of the spreadsheet of the class.
+     */
+    static schemaSheet() {
+      var storage = this.storage();
+      var sheet = storage.getSheet("_schema", this.spreadsheetId());
+      if (sheet === null) {
+        sheet = storage.createSheet("_schema", this.spreadsheetId());
+        storage.append(sheet, [["table", "version", "migrated"]]);
+      }
+      return sheet;
+    }
+
+    /**
+     * Reads the schema version stored for the table of the class.
+     * @static
+     * @returns {number} - The stored version, 0 if the table was never migrated.
      *
-     * @returns {Object} - A simplified JavaScript object representing the entity.
+     * @description Nothing is written: when the `_schema` sheet does not exist yet the version
+     * is 0, and the sheet is created by `setSchemaVersion()`.
+     */
+    static getSchemaVersion() {
+      var storage = this.storage();
+      var sheet = storage.getSheet("_schema", this.spreadsheetId());
+      if (sheet === null) return 0;
+      var rows = storage.readAll(sheet);
+      var row = rows.find((values) => values[0] === this.tableName());
+      return row ? Number(row[1]) || 0 : 0;
+    }
+
+    /**
+     * Stores the schema version reached by the table of the class.
+     * @static
+     * @param {number} version - The version to store.
+     */
+    static setSchemaVersion(version) {
+      var storage = this.storage();
+      var sheet = this.schemaSheet();
+      var rows = storage.readAll(sheet);
+      var index = rows.findIndex((values) => values[0] === this.tableName());
+      if (index === -1) {
+        storage.append(sheet, [[this.tableName(), version, new Date()]]);
+      } else {
+        storage.writeRange(sheet, index + 1, 1, [[this.tableName(), version, new Date()]]);
+      }
+    }
+  
+    /**
+     * Generates a random ID of the specified length.
+     * @static
+     * @param {number} length - The length of the ID to generate.
+     * @returns {string} - A random ID of the specified length.
+     *
+     * @description This static method generates a random alphanumeric ID of the specified length.
+     *
+     * @param {number} length - The length of the ID to generate.
+     * @returns {string} - A random ID consisting of uppercase letters, lowercase letters, and digits.
+     *
+     * @throws {Error} If the length is less than or equal to 0.
      *
      * @example
-     * const entity = MyTable.findById('ABC123');
-     * const simpleObject = entity.toSimpleObject();
-     * console.log('Simplified entity:', simpleObject);
+     * const id = GSTable.generateId(8); // Generates an 8-character random ID.
      */
-    objectExtension(simpleObject, extendWith = null) {
-      return simpleObject;
+    static generateId(length) {
+        if (length <= 0) {
+            // Throw an error if the length is invalid.
+            throw new Error('Length must be greater than 0');
+        }
+
+        let result = '';
+        const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+        const charactersLength = characters.length;
+        let counter = 0;
+
+        // Generate the random ID character by character.
+        while (counter < length) {
+            result += characters.charAt(Math.floor(Math.random() * charactersLength));
+            counter += 1;
+        }
+
+        return result;
     }
   
     /**
-     * Converts the entity into a JSON string representation.
-     * @returns {string} - A JSON string representing the entity's data.
+     * Declares how the `id` of new entities is generated.
+     * @static
+     * @returns {Object} - An object containing:
+     *   - strategy {string}: One of
+     *       "random" - a random alphanumeric id, checked against the existing ids (default);
+     *       "uuid" - an RFC4122 version 4 UUID;
+     *       "increment" - the highest numeric id of the sheet plus one;
+     *       "ulid" - a 26 character id that sorts by creation time (ULID);
+     *       "natural" - no id is generated, the caller must set it before persisting.
+     *   - length {number}: The length of "random" ids (default 8).
      *
-     * @description This method is used to convert the entity associated with the class 
-     * extended by `GSTable` into a JSON string representation. The resulting JSON string 
-     * includes property-value pairs from the entity, suitable for serialization or display.
+     * @description Override this static method in the class extended by `GSTable` to choose
+     * another strategy. Whatever the strategy, `persist()` rejects an id that already exists.
      *
-     * @returns {string} - A JSON string representing the entity's data.
+     * @example
+     * class Invoice extends GSTable {
+     *   static primaryKey() {
+     *     return { strategy: "increment" };
+     *   }
+     * }
+     */
+    static primaryKey() {
+      return { strategy: "random", length: 8 };
+    }
+
+    /**
+     * Generates the `id` of a new entity according to `primaryKey()`.
+     * @static
+     * @returns {string|number} - A new id, not used by any row of the sheet nor returned
+     * before in the same execution.
+     *
+     * @throws {Error} If the strategy is "natural" or unknown.
      *
      * @example
-     * const entity = MyTable.findById('ABC123');
-     * const jsonString = entity.toString();
-     * console.log('Entity as JSON:', jsonString);
+     * const id = MyTable.generateKey();
      */
-    toString() {
-      return JSON.stringify(this.toSimpleOjbect(), null, 2);
+    static generateKey() {
+      var {strategy, length = 8} = this.primaryKey();
+      var cache = this.cache();
+      if (!cache.keys) cache.keys = new Set();
+
+      var key;
+      switch (strategy) {
+        case "random":
+        case "uuid":
+          var ids = this.getIndex("id");
+          do {
+            key = strategy === "random" ? this.generateId(length) : this.generateUuid();
+          } while (ids.has(this.indexKey(["id"], [key])) || cache.keys.has(key));
+          break;
+        case "ulid":
+          key = this.generateUlid();
+          break;
+        case "increment":
+          var values = this.getSheetValues();
+          var position = values[0].indexOf("id");
+          var max = 0;
+          for (let i = 1; i < values.length; i++) {
+            let number = Number(values[i][position]);
+            if (values[i][position] !== "" && Number.isInteger(number) && number > max) max = number;
+          }
+          cache.keys.forEach((issued) => max = Math.max(max, issued));
+          key = max + 1;
+          break;
+        case "natural":
+          throw new Error(this.name + " uses natural keys: set the id before persisting");
+        default:
+          throw new Error("Unknown primary key strategy '" + strategy + "'");
+      }
+
+      cache.keys.add(key);
+      return key;
+    }
+
+    /**
+     * Generates an RFC4122 version 4 UUID.
+     * @static
+     * @returns {string} - A random UUID like "3b241101-e2bb-4255-8caf-4136c566a962".
+     */
+    static generateUuid() {
+      return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (char) => {
+        var random = Math.floor(Math.random() * 16);
+        return (char === "x" ? random : (random & 0x3) | 0x8).toString(16);
+      });
+    }
+
+    /**
+     * Generates a ULID: 10 characters of timestamp followed by 16 random characters.
+     * @static
+     * @returns {string} - A 26 character id in Crockford's base32.
+     *
+     * @description Ids generated in the same millisecond of the same execution increment
+     * the random part of the previous one, so they still sort in creation order.
+     */
+    static generateUlid() {
+      const alphabet = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+      var now = Date.now();
+      var last = GSTable.lastUlid;
+      var random;
+
+      if (last && last.time === now) {
+        random = [...last.random];
+        let i = random.length - 1;
+        while (i >= 0 && random[i] === alphabet.length - 1) random[i--] = 0;
+        if (i < 0) throw new Error("ULID random part overflow");
+        random[i] += 1;
+      } else {
+        random = [];
+        for (let i = 0; i < 16; i++) random.push(Math.floor(Math.random() * alphabet.length));
+      }
+      GSTable.lastUlid = { time: now, random };
+
+      var time = "";
+      for (let i = 0, rest = now; i < 10; i++, rest = Math.floor(rest / alphabet.length)) {
+        time = alphabet.charAt(rest % alphabet.length) + time;
+      }
+      return time + random.map((digit) => alphabet.charAt(digit)).join("");
     }
   
     /**
-     * Logs the JSON representation of the entity to the console.
+     * Converts raw data from a Google Sheets range into an array of objects.
+     * @static
+     * @param {Array} [rawData=[]] - The raw data to be converted.
+     * @returns {Array} - An array of objects with property-value pairs.
      *
-     * @description This method is used to log the JSON representation of the entity associated
-     * with the class extended by `GSTable` to the console. It provides a convenient way to 
-     * inspect the entity's data in a human-readable format.
+     * @description This static method is used to convert raw data retrieved from a Google
+     * Sheets range into an array of JavaScript objects. Each object represents a row of data,
+     * with property names corresponding to the headers from the raw data. The method handles
+     * mapping the headers to properties and creating objects for each row.
+     *
+     * @param {Array} [rawData=[]] - The raw data retrieved from a Google Sheets range.
+     * @returns {Array} - An array of objects, each representing a row of data.
      *
      * @example
-     * const entity = MyTable.findById('ABC123');
-     * entity.print();
+     * const rawData = [
+     *   ['Name', 'Age', 'City'],
+     *   ['Alice', 28, 'New York'],
+     *   ['Bob', 35, 'Los Angeles'],
+     * ];
+     * const data = GSTable.fromRawDataToArrayOfObject(rawData);
+     * // Returns an array of objects like:
+     * // [{ Name: 'Alice', Age: 28, City: 'New York' }, { Name: 'Bob', Age: 35, City: 'Los Angeles' }]
      */
-    print() {
-      Logger.log(this.toString());
+    static fromRawDataToArrayOfObject(rawData = []) {
+        const headers = rawData.shift();
+        var result = []
+        rawData.forEach((row, row_id) => {
+          // add 2 because of the headers and arrays starts from 0
+          result.push(this.rowToObject(headers, row, row_id + 2))
+        })
+        return result;
+    }
+  
+    /**
+     * Finds and returns an entity by its ID.
+     * @static
+     * @param {string} id - The ID to search for.
+     * @returns {Object|null} - The entity matching the given ID, or null if not found.
+     *
+     * @description This static method searches for an entity within the data associated with
+     * the `GSTable` class based on its ID. If a matching entity is found, it is returned as
+     * an object. If no entity with the specified ID is found, the method returns null.
+     * Ids are compared as text, so numeric ids generated by the "increment" strategy (see
+     * `primaryKey()`) match whether they are given as numbers or strings.
+     *
+     * @param {string} id - The ID of the entity to search for.
+     * @param {Object} [options={}] - The lookup options, see `findAll()`.
+     * @returns {Object|null} - The entity with the specified ID, or null if not found.
+     *
+     * @example
+     * const idToFind = 'ABC123';
+     * const foundEntity = MyTable.findById(idToFind);
+     * if (foundEntity) {
+     *   console.log('Entity found:', foundEntity);
+     * } else {
+     *   console.log('Entity not found with ID:', idToFind);
+     * }
+     */
+    static findById(id, options = {}) {
+      return this.findOneBy("id", id, options);
+    }
+  
+    /**
+     * Starts a fluent query on the entities of the class.
+     * @static
+     * @returns {GSTableQuery} - A new query bound to the class.
+     *
+     * @description This static method returns a chainable `GSTableQuery` that can filter,
+     * sort and page the entities of the class extended by `GSTable`. Conditions are compared
+     * according to the `_type` of each column, so dates, numbers and booleans are matched by
+     * value and not by their string representation.
+     *
+     * @returns {GSTableQuery} - A new query bound to the class.
+     *
+     * @example
+     * const items = Item.query()
+     *   .where('quantity', '>', 5)
+     *   .orWhere('name', 'startsWith', 'A')
+     *   .orderBy('created', 'desc')
+     *   .limit(20)
+     *   .offset(40)
+     *   .get();
+     */
+    static query() {
+      return new GSTableQuery(this);
+    }
+
+    /**
+     * Creates the `doGet`/`doPost` handlers of a JSON REST API over some classes.
+     * @static
+     * @param {Array<Function|Object>} models - The published classes, or objects describing them:
+     *   - model {Function}: The class extended by `GSTable`.
+     *   - name {string}: The resource name used in the URL (default `tableName()`).
+     *   - operations {Array<string>}: The allowed operations among "list", "get", "create",
+     *     "update" and "delete" (default all).
+     *   - fields {Array<string>}: The properties that can be read, filtered and written
+     *     (default all). The `id` is always returned.
+     * @returns {GSTableRouter} - The router, see `GSTableRouter` for the URL format.
+     *
+     * @example
+     * const api = GSTable.router([Item, { model: Order, operations: ['list', 'get'] }]);
+     * function doGet(e) { return api.doGet(e); }
+     * function doPost(e) { return api.doPost(e); }
+     */
+    static router(models = []) {
+      return new GSTableRouter(models);
     }
+
+    /**
+     * Brings the rows edited by hand in the sheets of some classes through the model.
+     * @static
+     * @param {Array<Function>} models - The classes whose sheets are watched.
+     * @param {Object} [options={}] - How invalid cells are marked:
+     *   - note {boolean}: Adds a note with the error to the cell (default true).
+     *   - background {string|null}: The background color of the cell (default "#f4cccc"),
+     *     null to keep the color.
+     * @returns {Function} - The handler to call from `onEdit(e)`, see `syncEdit()`.
+     *
+     * @description Call it at the top level of a script file, so that the classes are known
+     * in every execution, and call the returned handler (or `GSTable.syncEdit`) from the
+     * `onEdit` trigger. A simple trigger may not know the email of the editor; an installable
+     * "On edit" trigger does.
+     *
+     * @example
+     * const syncEdit = GSTable.installEditSync([Item, Order]);
+     * function onEdit(e) { syncEdit(e); }
+     */
+    static installEditSync(models = [], options = {}) {
+      GSTable.register(...models);
+      GSTable.editSync = {
+        models,
+        options: Object.assign({ note: true, background: "#f4cccc" }, options),
+      };
+      return (e) => GSTable.syncEdit(e);
+    }
+
+    /**
+     * Handles an edit event of the spreadsheet, see `installEditSync()`.
+     * @static
+     * @param {Object} e - The event received by `onEdit`.
+     * @returns {Object|null} - The report of `syncRows()`, or null if the edited sheet belongs
+     * to no watched class.
+     */
+    static syncEdit(e) {
+      if (!GSTable.hasOwnProperty("editSync")) return null;
+      var {models, options} = GSTable.editSync;
+      var edit = GSTable.storage().editedRange(e);
+      var model = models.find((candidate) => candidate.tableName() === edit.sheetName
+        && (candidate.spreadsheetId() === null || candidate.spreadsheetId() === edit.spreadsheetId));
+      if (!model) return null;
+
+      // The old value is known only when a single cell changes.
+      var single = edit.numRows === 1 && edit.numColumns === 1;
+      return model.syncRows(edit.row, edit.numRows, Object.assign({}, options, {
+        user: edit.user,
+        oldValue: single ? { column: edit.column, value: typeof edit.oldValue === "undefined" ? "" : edit.oldValue } : null,
+      }));
+    }
+
+    /**
+     * Completes and validates rows written by hand in the sheet of the class.
+     * @static
+     * @param {number} firstRow - The first edited row.
+     * @param {number} count - The number of edited rows.
+     * @param {Object} [options={}] - The options of `installEditSync()`, plus:
+     *   - user {string}: The email of the editor, `activeUserEmail()` when missing.
+     *   - oldValue {Object|null}: The `{ column, value }` replaced by a single cell edit, used
+     *     to log the change when the class is `audited()`.
+     * @returns {Object} - A report containing:
+     *   - inserted {Array}: The rows typed in, which got their `id`, `created` and `created_by`.
+     *   - updated {Array}: The rows changed, which got their `modified` and `last_modified_by`.
+     *   - invalid {Array<{entity: Object, errors: Array<Object>}>}: The rows left untouched
+     *     because of the errors returned by `validate()`, marked in the sheet.
+     *   - cancelled {Array}: The rows whose `beforeValidate` or `beforePersist` hook returned false.
+     *
+     * @description Each non-empty row is read with `fromJson`, so the `afterLoad` hook runs.
+     * A row without `id` or `created` counts as typed in. The stamps are filled in, the row
+     * is validated and the lifecycle hooks are called like in `persist()`, then the row is
+     * written back with its values converted to the column types. The cells with errors get
+     * a note and a background color, removed once the row is fixed. Rows changed by more than
+     * one cell at a time are not logged by `audited()` classes, since their old values are unknown.
+     */
+    static syncRows(firstRow, count, options = {}) {
+      var {note = true, background = "#f4cccc", user = null, oldValue = null} = options;
+      var report = { inserted: [], updated: [], invalid: [], cancelled: [] };
+      this.clearCache();
+
+      this.withLock(() => {
+        var storage = this.storage();
+        var {sheet, headers} = this.getTableInfo();
+        var editor = user || this.activeUserEmail() || "unknown";
+        var now = new Date();
+        var claimed = new Map();
+        var marked = note || background !== null;
+        var changes = [];
+        var first = Math.max(firstRow, 2);
+
+        this.readRows(first, firstRow + count - first).forEach((raw) => {
+          if (headers.every((header) => typeof raw[header] === "undefined" || raw[header] === "")) return;
+          var entity = this.hydrate(raw);
+          var isNew = entity.id._value === "" || entity.created._value === "";
+          if (entity.trigger("beforeValidate", isNew) === false) {
+            report.cancelled.push(entity);
+            return;
+          }
+
+          var stamps = { modified: now, last_modified_by: editor };
+          if (this.versioned()) stamps.version = (Number(entity.version._value) || 0) + 1;
+          if (isNew) {
+            if (entity.id._value === "" && this.primaryKey().strategy !== "natural") stamps.id = this.generateKey();
+            if (entity.created._value === "") stamps.created = now;
+            if (entity.created_by._value === "") stamps.created_by = editor;
+          }
+          Object.keys(stamps).forEach((prop) => entity[prop]._value = stamps[prop]);
+
+          var errors = entity.validate(claimed);
+          var messages = headers.map(() => null);
+          errors.forEach((error) => {
+            var positions = String(error.field).split(", ").map((field) => headers.indexOf(field)).filter((position) => position !== -1);
+            (positions.length > 0 ? positions : [0]).forEach((position) => {
+              messages[position] = (messages[position] !== null ? messages[position] + "\n" : "") + error.field + " " + error.message;
+            });
+          });
+          if (marked) storage.markRow(sheet, entity.row_number, messages, { note, background });
+          if (errors.length > 0) {
+            report.invalid.push({ entity, errors });
+            return;
+          }
+
+          var updateArray = entity.getUpdateArray(headers);
+          entity.keepUnknownCells(headers, updateArray, () => headers.map((header) => raw[header]));
+          if (!entity.confirmWrite(headers, updateArray, stamps, isNew)) {
+            report.cancelled.push(entity);
+            return;
+          }
+
+          storage.writeRange(sheet, entity.row_number, 1, [updateArray]);
+          this.cacheRows(entity.row_number, [updateArray]);
+          (isNew ? report.inserted : report.updated).push(entity);
+
+          if (isNew) {
+            changes.push({ entity, before: null, after: updateArray });
+          } else if (oldValue !== null && count === 1) {
+            var before = headers.map((header) => raw[header]);
+            before[oldValue.column - 1] = oldValue.value;
+            changes.push({ entity, before, after: updateArray });
+          }
+        });
+        this.audit(changes);
+      });
+
+      report.inserted.forEach((entity) => entity.trigger("persist", true));
+      report.updated.forEach((entity) => entity.trigger("persist", false));
+      return report;
+    }
+
+    /**
+     * Factory function for the aggregates accepted by `groupBy().agg()`.
+     * @static
+     * @returns {Object} - An object containing `count`, `sum`, `avg`, `min`, `max` and
+     * `distinct`, each taking the aggregated field (`count()` without field counts the entities).
+     *
+     * @example
+     * const {sum, count, max} = GSTable.AGG();
+     * Item.groupBy('category').agg({ stock: sum('quantity'), items: count(), last: max('modified') });
+     */
+    static AGG() {
+      var aggregate = (kind) => (field = null) => ({ kind, field });
+      return {
+        count: aggregate("count"),
+        sum: aggregate("sum"),
+        avg: aggregate("avg"),
+        min: aggregate("min"),
+        max: aggregate("max"),
+        distinct: aggregate("distinct"),
+      };
+    }
+
+    /**
+     * Builds the query behind the aggregate functions.
+     * @static
+     * @param {GSTableQuery|Function|Object|null} [where=null] - A query, a callback receiving a
+     * new query, an object of `{ property: value }` equalities or null for every entity.
+     * @returns {GSTableQuery} - The query.
+     */
+    static scope(where = null) {
+      if (where instanceof GSTableQuery) return where;
+      var query = this.query();
+      if (typeof where === "function") {
+        where(query);
+      } else if (where !== null && typeof where === "object") {
+        Object.keys(where).forEach((field) => query.where(field, where[field]));
+      }
+      return query;
+    }
+
+    /**
+     * Counts the entities of the class.
+     * @static
+     * @param {GSTableQuery|Function|Object} [where] - The entities to count, see `scope()`.
+     * @returns {number} - The number of entities.
+     *
+     * @example
+     * Item.count({ category: 'tools' });
+     * Item.count((q) => q.where('quantity', '<', 5));
+     */
+    static count(where = null) {
+      return this.scope(where).count();
+    }
+
+    /**
+     * Sums a NUMBER column, see `GSTableQuery.sum()`.
+     * @static
+     * @param {string} field - The property, or a path through foreign keys like "product.price".
+     * @param {GSTableQuery|Function|Object} [where] - The entities to consider, see `scope()`.
+     * @returns {number} - The sum.
+     *
+     * @example
+     * Item.sum('quantity', { category: 'tools' });
+     */
+    static sum(field, where = null) {
+      return this.scope(where).sum(field);
+    }
+
+    /**
+     * Averages a NUMBER column, see `GSTableQuery.avg()`.
+     * @static
+     * @param {string} field - The property, or a path through foreign keys.
+     * @param {GSTableQuery|Function|Object} [where] - The entities to consider, see `scope()`.
+     * @returns {number|null} - The average.
+     */
+    static avg(field, where = null) {
+      return this.scope(where).avg(field);
+    }
+
+    /**
+     * Returns the lowest value of a column, see `GSTableQuery.min()`.
+     * @static
+     * @param {string} field - The property, or a path through foreign keys.
+     * @param {GSTableQuery|Function|Object} [where] - The entities to consider, see `scope()`.
+     * @returns {any} - The lowest value.
+     */
+    static min(field, where = null) {
+      return this.scope(where).min(field);
+    }
+
+    /**
+     * Returns the highest value of a column, see `GSTableQuery.max()`.
+     * @static
+     * @param {string} field - The property, or a path through foreign keys.
+     * @param {GSTableQuery|Function|Object} [where] - The entities to consider, see `scope()`.
+     * @returns {any} - The highest value.
+     *
+     * @example
+     * Order.max('created'); // the date of the last order
+     */
+    static max(field, where = null) {
+      return this.scope(where).max(field);
+    }
+
+    /**
+     * Lists the different values of a column, see `GSTableQuery.distinct()`.
+     * @static
+     * @param {string} field - The property, or a path through foreign keys.
+     * @param {GSTableQuery|Function|Object} [where] - The entities to consider, see `scope()`.
+     * @returns {Array} - The values.
+     */
+    static distinct(field, where = null) {
+      return this.scope(where).distinct(field);
+    }
+
+    /**
+     * Groups every entity of the class, see `GSTableQuery.groupBy()`.
+     * @static
+     * @param {...string} fields - The properties to group on, or paths through foreign keys.
+     * @returns {GSTableGroup} - The grouping.
+     */
+    static groupBy(...fields) {
+      return this.query().groupBy(...fields);
+    }
+
+    /**
+     * Filters entities based on user-defined conditions.
+     * @static
+     * @deprecated Use {@link GSTable.query} instead.
+     * @param {Object} conditions - The filtering conditions as key-value pairs.
+     * @returns {Array} - An array of entities that match the specified conditions.
+     *
+     * @description This static method filters entities associated with the `GSTable` class
+     * based on user-defined conditions. It takes an object with key-value pairs, where each
+     * key represents a property and each value is a function that defines a condition. Only
+     * entities that satisfy all the conditions are included in the result, so an empty object
+     * returns every entity, like `query().get()`.
+     *
+     * @param {Object} conditions - An object with key-value pairs representing filtering conditions.
+     * @returns {Array} - An array of entities that meet all specified conditions.
+     *
+     * @example
+     * // Example conditions to filter entities:
+     * const conditions = {
+     *   Age: (age) => age >= 18, // Filter entities with age greater than or equal to 18.
+     *   City: (city) => city === 'New York', // Filter entities with 'City' equal to 'New York'.
+     * };
+     * const filteredEntities = MyTable.filterByConditions(conditions);
+     * console.log('Filtered entities:', filteredEntities);
+     */
+    static filterByConsitions(conditions) {
+      var condition_keys = Object.keys(conditions);
+
+      return this.query().get().filter((entity) => {
+        return condition_keys.every(key => {
+          // ignores non-function predicates
+          if (typeof conditions[key] !== 'function') return true;
+          return conditions[key](entity[key]);
+        });
+      });
+    }
+  
+    /**
+     * Retrieves all entities associated with the `GSTable` class.
+     * @static
+     * @returns {Array} - An array of all entities available in the data.
+     *
+     * @description This static method retrieves all entities associated with the `GSTable`
+     * class from the data source, a Google Sheets table. It converts the raw data
+     * into an array of JavaScript objects, where each object represents an entity.
+     * For classes with `softDeletes()`, soft-deleted entities are skipped unless asked for.
+     *
+     * @param {Object} [options={}] - The lookup options:
+     *   - trashed {string}: "without" to skip soft-deleted entities (default), "with" to
+     *     include them, "only" to return nothing else.
+     *   - columns {Array<string>}: Reads and fills in only these columns, see `readRows()`.
+     * @returns {Array} - An array of all entities available in the data source.
+     *
+     * @example
+     * const allEntities = MyTable.findAll();
+     * const everything = MyTable.findAll({ trashed: 'with' });
+     * const names = MyTable.findAll({ columns: ['name'] });
+     * console.log('All entities:', allEntities);
+     */
+    static findAll(options = {}) {
+      if (options.columns) {
+        return this.readRows(2, this.rowsCount(), options.columns)
+          .filter((rawEntity) => this.matchesTrashed(rawEntity.deleted_at, options.trashed))
+          .map((rawEntity) => this.hydrate(rawEntity, options.columns));
+      }
+      var rawArray = this.fromRawDataToArrayOfObject([...this.getSheetValues()]);
+      rawArray = rawArray.filter((rawEntity) => this.matchesTrashed(rawEntity.deleted_at, options.trashed));
+      return rawArray.map((rawEntity) => this.fromJson(rawEntity));
+    }
+
+    /**
+     * Returns one page of entities, reading only the rows of the page.
+     * @static
+     * @param {number} pageNumber - The page, starting from 1.
+     * @param {number} [pageSize=50] - The number of entities per page.
+     * @param {Object} [options={}] - The options of `findAll()`: `trashed` and `columns`.
+     * @returns {Object} - An object containing:
+     *   - items {Array}: The entities of the page, in sheet order.
+     *   - total {number}: The number of entities in the table.
+     *   - page {number}: The page number.
+     *   - pageSize {number}: The page size.
+     *   - pages {number}: The number of pages.
+     *
+     * @description Unlike `findAll()` the sheet is not read as a whole: the rows of the page
+     * are read with a single call per block of columns. For classes with `softDeletes()` the
+     * `deleted_at` column is read first to know which rows to skip.
+     *
+     * @throws {Error} If the page number or the page size is not a positive integer.
+     *
+     * @example
+     * const {items, pages} = Item.page(3, 100, { columns: ['name', 'quantity'] });
+     */
+    static page(pageNumber, pageSize = 50, options = {}) {
+      if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageSize) || pageSize < 1) {
+        throw new Error("page() expects a page number and a page size greater than 0");
+      }
+      var {trashed = "without", columns = null} = options;
+      var rowsCount = this.rowsCount();
+      var first = (pageNumber - 1) * pageSize;
+      var rawArray = [];
+      var total = rowsCount;
+
+      if (this.softDeletes() && trashed !== "with") {
+        var kept = this.readRows(2, rowsCount, ["deleted_at"])
+          .filter((rawEntity) => this.matchesTrashed(rawEntity.deleted_at, trashed))
+          .map((rawEntity) => rawEntity.row_number);
+        var wanted = kept.slice(first, first + pageSize);
+        total = kept.length;
+        if (wanted.length > 0) {
+          rawArray = this.readRows(wanted[0], wanted[wanted.length - 1] - wanted[0] + 1, columns)
+            .filter((rawEntity) => wanted.includes(rawEntity.row_number));
+        }
+      } else if (first < rowsCount) {
+        rawArray = this.readRows(2 + first, Math.min(pageSize, rowsCount - first), columns);
+      }
+
+      return {
+        items: rawArray.map((rawEntity) => this.hydrate(rawEntity, columns)),
+        total,
+        page: pageNumber,
+        pageSize,
+        pages: Math.ceil(total / pageSize),
+      };
+    }
+
+    /**
+     * Calls a function on every entity, reading the sheet in windows of rows.
+     * @static
+     * @param {Function} callback - Called as `callback(entity, index)`; return false to stop.
+     * @param {Object} [options={}] - The options of `findAll()` (`trashed` and `columns`) and:
+     *   - batchSize {number}: The number of rows read at once (default 500).
+     * @returns {number} - The number of entities visited.
+     *
+     * @description Only one window of entities is kept in memory, which makes it suitable for
+     * sheets too large for `findAll()`. Rows inserted or deleted by the callback shift the
+     * following windows, so collect the changes and write them with `saveAll()` or
+     * `removeAll()` afterwards.
+     *
+     * @example
+     * var lowStock = [];
+     * Item.each((item) => {
+     *   if (item.quantity._value < 5) lowStock.push(item.id._value);
+     * }, { batchSize: 1000, columns: ['quantity'] });
+     */
+    static each(callback, options = {}) {
+      var {batchSize = 500, trashed = "without", columns = null} = options;
+      if (!Number.isInteger(batchSize) || batchSize < 1) throw new Error("each() expects a batch size greater than 0");
+
+      var rowsCount = this.rowsCount();
+      var index = 0;
+      for (var first = 2; first <= rowsCount + 1; first += batchSize) {
+        var rawArray = this.readRows(first, Math.min(batchSize, rowsCount + 2 - first), columns)
+          .filter((rawEntity) => this.matchesTrashed(rawEntity.deleted_at, trashed));
+        for (var rawEntity of rawArray) {
+          if (callback(this.hydrate(rawEntity, columns), index++) === false) return index;
+        }
+      }
+      return index;
+    }
+
+    /**
+     * Builds the message of the error thrown when writing an entity read with a projection.
+     * @static
+     * @param {Object} entity - The entity.
+     * @returns {string} - The message.
+     */
+    static projectionError(entity) {
+      return this.name + " '" + entity.id._value + "' was read with only some columns and cannot be written, read it again with findById()";
+    }
+
+    /**
+     * Returns the number of data rows of the sheet, without reading them.
+     * @static
+     * @returns {number} - The number of rows below the header.
+     */
+    static rowsCount() {
+      var cache = this.cache();
+      if (cache.values !== null) return Math.max(cache.values.length - 1, 0);
+      var {sheet} = this.getTableInfo();
+      return Math.max(this.storage().lastRow(sheet) - 1, 0);
+    }
+
+    /**
+     * Lists the columns to read for a projection.
+     * @static
+     * @param {Array<string>|null} columns - The requested properties (or labels), null for all.
+     * @returns {Array<string>|null} - The properties to read, `id` (and `deleted_at` for classes
+     * with `softDeletes()`) included, or null for all.
+     *
+     * @throws {Error} If a requested column does not exist.
+     */
+    static projection(columns) {
+      if (columns === null || typeof columns === "undefined") return null;
+      var known = this.getColumns();
+      var fields = ["id"].concat(this.softDeletes() ? ["deleted_at"] : []);
+      columns.forEach((column) => {
+        var field = this.propertyOf(column);
+        if (!known.hasOwnProperty(field)) throw new Error("Unknown column '" + column + "' in " + this.name);
+        if (!fields.includes(field)) fields.push(field);
+      });
+      return fields;
+    }
+
+    /**
+     * Reads a window of rows as raw objects.
+     * @static
+     * @param {number} firstRow - The sheet row to start from (2 is the first data row).
+     * @param {number} count - The number of rows to read.
+     * @param {Array<string>|null} [columns=null] - The properties to read, see `projection()`.
+     * @returns {Array<Object>} - The raw objects expected by `fromJson`, with their `row_number`.
+     *
+     * @description When the sheet content is cached (see `getSheetValues()`) the rows are taken
+     * from the cache. Otherwise only the requested columns are read, with one call per block of
+     * contiguous columns, and the cache is left as it is.
+     */
+    static readRows(firstRow, count, columns = null) {
+      var {sheet, headers} = this.getTableInfo();
+      var fields = this.projection(columns);
+      var positions = fields === null ? headers.map((header, index) => index) : fields.map((field) => headers.indexOf(field));
+      var cache = this.cache();
+      var rows;
+
+      if (cache.values !== null) {
+        rows = cache.values.slice(firstRow - 1, firstRow - 1 + count);
+      } else {
+        var storage = this.storage();
+        count = Math.min(count, storage.lastRow(sheet) - firstRow + 1);
+        if (count <= 0) return [];
+        rows = Array.from({ length: count }, () => []);
+        this.contiguousBlocks(positions.map((position) => position + 1).sort((a, b) => a - b)).forEach((block) => {
+          storage.readRange(sheet, firstRow, block[0], count, block.length).forEach((values, i) => {
+            block.forEach((column, j) => rows[i][column - 1] = values[j]);
+          });
+        });
+      }
+
+      return rows.map((row, i) => {
+        var rawEntity = { row_number: firstRow + i };
+        positions.forEach((position) => rawEntity[headers[position]] = row[position]);
+        return rawEntity;
+      });
+    }
+
+    /**
+     * Converts a raw object into an entity, remembering the projection it was read with.
+     * @static
+     * @param {Object} rawEntity - The raw object, see `readRows()`.
+     * @param {Array<string>|null} [columns=null] - The properties that were read.
+     * @returns {Object} - The entity. An entity read with a projection has a `projection`
+     * property and cannot be persisted, since its other columns are empty.
+     */
+    static hydrate(rawEntity, columns = null) {
+      var entity = this.fromJson(rawEntity);
+      var fields = this.projection(columns);
+      if (fields !== null) entity.projection = fields;
+      return entity;
+    }
+
+    /**
+     * Declares whether `remove()` only marks entities as deleted.
+     * @static
+     * @returns {boolean} - True to enable soft deletes (default false).
+     *
+     * @description Override this static method to return true and the table gets the
+     * `deleted_at` and `deleted_by` columns. `remove()` then fills them in instead of deleting
+     * the row, and `findAll`, `findById`, `findAllBy`, `findOneBy`, `filterByConsitions` and
+     * queries skip the entities marked this way. Use `withTrashed()` and `onlyTrashed()` to
+     * see them, `restore()` to bring them back and `forceRemove()` to delete them for good.
+     *
+     * @example
+     * class Customer extends GSTable {
+     *   static softDeletes() {
+     *     return true;
+     *   }
+     * }
+     */
+    static softDeletes() {
+      return false;
+    }
+
+    /**
+     * Checks a `deleted_at` value against a `trashed` option.
+     * @static
+     * @param {any} deletedAt - The value of the `deleted_at` column.
+     * @param {string} [trashed="without"] - One of "without", "with" or "only".
+     * @returns {boolean} - True if the row has to be returned.
+     */
+    static matchesTrashed(deletedAt, trashed = "without") {
+      if (!this.softDeletes() || trashed === "with") return true;
+      var isTrashed = !(typeof deletedAt === "undefined" || deletedAt === null || deletedAt === "");
+      return trashed === "only" ? isTrashed : !isTrashed;
+    }
+
+    /**
+     * Starts a query that includes soft-deleted entities.
+     * @static
+     * @returns {GSTableQuery} - A new query bound to the class.
+     *
+     * @example
+     * const all = Customer.withTrashed().orderBy('name').get();
+     */
+    static withTrashed() {
+      return this.query().withTrashed();
+    }
+
+    /**
+     * Starts a query that returns only soft-deleted entities.
+     * @static
+     * @returns {GSTableQuery} - A new query bound to the class.
+     *
+     * @example
+     * Customer.onlyTrashed().get().forEach((customer) => customer.restore());
+     */
+    static onlyTrashed() {
+      return this.query().onlyTrashed();
+    }
+
+    /**
+     * Retrieves the content of the sheet, headers included, from the per-execution cache.
+     * @static
+     * @returns {Array<Array>} - The values of the data range of the sheet.
+     *
+     * @description The sheet is read with a single `getDataRange().getValues()` the first
+     * time the data is needed in an execution; later calls (`findAll`, `findById`, `expand`,
+     * queries...) reuse the snapshot. Writes made through `persist`, `remove`, `saveAll` and
+     * `removeAll` update the snapshot as well. The returned array is shared: do not modify it.
+     *
+     * @returns {Array<Array>} - The values of the data range of the sheet.
+     *
+     * @example
+     * const [headers, ...rows] = MyTable.getSheetValues();
+     */
+    static getSheetValues() {
+      var {sheet} = this.getTableInfo();
+      var cache = this.cache();
+      if (cache.values === null) {
+        cache.values = this.storage().readAll(sheet);
+        // The header row holds the labels, the rest of the code works with properties.
+        if (cache.values.length > 0) cache.values[0] = cache.values[0].map((label) => this.propertyOf(label));
+      }
+      return cache.values;
+    }
+
+    /**
+     * Returns the per-execution cache entry of the class.
+     * @static
+     * @returns {Object} - An object containing:
+     *   - tableInfo {Object|null}: The result of the header synchronization.
+     *   - values {Array<Array>|null}: The snapshot of the sheet content.
+     *   - indexes {Object}: The lookup indexes built from the snapshot, see `getIndex()`.
+     *   - columns {Object|null}: The column definitions, see `getColumns()`.
+     *
+     * @description Apps Script starts every execution from a clean global state, so the
+     * cache lives as long as the execution that filled it. Entries are keyed by class.
+     */
+    static cache() {
+      if (!GSTable.hasOwnProperty("tableCache")) GSTable.tableCache = new Map();
+      if (!GSTable.tableCache.has(this)) {
+        GSTable.tableCache.set(this, { tableInfo: null, values: null, indexes: {}, columns: null });
+      }
+      return GSTable.tableCache.get(this);
+    }
+
+    /**
+     * Drops the cached table information and sheet snapshot.
+     * @static
+     *
+     * @description Call it after editing a sheet without going through `GSTable` (for
+     * example with `SpreadsheetApp` directly). Called on `GSTable` it clears the cache of
+     * every class, called on an extended class it clears only the cache of that class.
+     *
+     * @example
+     * sheet.getRange('B2').setValue('changed by hand');
+     * MyTable.clearCache();
+     * const fresh = MyTable.findAll();
+     */
+    static clearCache() {
+      if (!GSTable.hasOwnProperty("tableCache")) return;
+      if (this === GSTable) {
+        GSTable.tableCache.clear();
+      } else {
+        GSTable.tableCache.delete(this);
+      }
+    }
+
+    /**
+     * Writes rows into the cached snapshot, if one has been taken.
+     * @static
+     * @param {number} row_number - The sheet row of the first row to write.
+     * @param {Array<Array>} rows - The rows to write.
+     */
+    static cacheRows(row_number, rows) {
+      var cache = this.cache();
+      if (cache.values === null) return;
+      if (row_number - 1 > cache.values.length) {
+        // Rows were added by someone else since the snapshot was taken.
+        cache.values = null;
+      } else {
+        rows.forEach((row, index) => cache.values[row_number - 1 + index] = [...row]);
+      }
+      cache.indexes = {};
+    }
+
+    /**
+     * Removes rows from the cached snapshot, if one has been taken.
+     * @static
+     * @param {number} row_number - The sheet row of the first row to remove.
+     * @param {number} [count=1] - The number of rows to remove.
+     */
+    static uncacheRows(row_number, count = 1) {
+      var cache = this.cache();
+      if (cache.values === null) return;
+      cache.values.splice(row_number - 1, count);
+      cache.indexes = {};
+    }
+
+    /**
+     * Returns the column definitions of the class.
+     * @static
+     * @returns {Object} - The column definitions created by the constructor, keyed by property.
+     *
+     * @description The keys follow the column order used for new sheets and new columns:
+     * columns with an `order` option come first, by order, then the others in the order they
+     * are declared. Existing columns are never moved.
+     *
+     * @example
+     * MyTable.getColumns().age._type; // "number"
+     */
+    static getColumns() {
+      var cache = this.cache();
+      if (cache.columns === null) {
+        var emptyObj = new this();
+        var properties = Object.getOwnPropertyNames(emptyObj).filter((property) => this.isColumn(emptyObj[property]));
+        var orderOf = (property) => {
+          var {order} = emptyObj[property]._options || {};
+          return typeof order === "number" ? order : Infinity;
+        };
+        cache.columns = {};
+        properties
+          .map((property, index) => ({ property, index }))
+          .sort((a, b) => orderOf(a.property) - orderOf(b.property) || a.index - b.index)
+          .forEach(({property}) => cache.columns[property] = emptyObj[property]);
+      }
+      return cache.columns;
+    }
+
+    /**
+     * Declares the columns of the class without writing them in the constructor.
+     * @static
+     * @returns {Array<Object>|null} - The column declarations, or null (default) when the
+     * constructor creates the columns. Each declaration contains:
+     *   - name {string}: The property of the column.
+     *   - type {string}: The name of a `COLUMN()` factory, such as "STRING" or "NUMBER".
+     *   - required {boolean}: Whether the column is required (default true).
+     *   - label {string}: The header of the column in the sheet (default the name).
+     *   - order {number}: The position of the column in new sheets.
+     *   - hidden {boolean}: Hides the column when it is added to the sheet.
+     *   - default {any}: The initial value of new entities.
+     *   - references {Function}: The referenced class (FOREIGNKEY).
+     *   - folder {string}: The key in `folderNames()` or the name of the Drive folder (FILE).
+     *   - values {Array}: The accepted values (ENUM).
+     *   - delimiter {string}: The separator of the items (ARRAY).
+     *   - timeZone {string}: The time zone written in the cell (DATETIME).
+     *   - precision {number}: The number of decimals (DECIMAL).
+     *   Any other key is passed to the column as an option, see `COLUMN()`.
+     *
+     * @description The columns are created by the `GSTable` constructor, after the system
+     * columns, so an extended class declaring its schema needs no constructor at all.
+     *
+     * @example
+     * class Item extends GSTable {
+     *   static schema() {
+     *     return [
+     *       { name: 'name', type: 'STRING', label: 'Name', order: 1 },
+     *       { name: 'quantity', type: 'NUMBER', label: 'Quantity in stock', order: 2, min: 0 },
+     *       { name: 'supplier', type: 'FOREIGNKEY', references: Supplier, required: false },
+     *       { name: 'notes', type: 'STRING', required: false, hidden: true },
+     *     ];
+     *   }
+     * }
+     * const item = new Item();
+     * item.setValue('name', 'pen');
+     */
+    static schema() {
+      return null;
+    }
+
+    /**
+     * Creates the column definition of a `schema()` declaration.
+     * @static
+     * @param {Object} definition - The declaration, see `schema()`.
+     * @returns {Object} - The column definition.
+     *
+     * @throws {Error} If the type is not a `COLUMN()` factory.
+     */
+    static columnFromSchema(definition) {
+      var {name, type, required = true, ...options} = definition;
+      var value = options.default;
+      delete options.default;
+      var factory = GSTable.COLUMN()[String(type).toUpperCase()];
+      if (!factory) {
+        throw new Error("Unknown type '" + type + "' for column '" + name + "' in the schema of " + this.name);
+      }
+      // The types taking a second argument, and the key holding it in the declaration.
+      var settings = { FOREIGNKEY: "references", FILE: "folder", ARRAY: "delimiter", ENUM: "values", DATETIME: "timeZone", DECIMAL: "precision" };
+      var setting = settings[String(type).toUpperCase()];
+      if (setting) {
+        var argument = options[setting];
+        delete options[setting];
+        return factory(value, argument, required, options);
+      }
+      return factory(value, required, options);
+    }
+
+    /**
+     * Returns the header of a column in the sheet.
+     * @static
+     * @param {string} property - The property of the column.
+     * @returns {string} - The `label` of the column, or the property itself.
+     */
+    static labelOf(property) {
+      var column = this.getColumns()[property];
+      var {label} = column ? column._options || {} : {};
+      return label ? label : property;
+    }
+
+    /**
+     * Returns the property matching a header of the sheet.
+     * @static
+     * @param {string} header - A column label or a property name.
+     * @returns {string} - The property, or the header itself if it matches no column.
+     *
+     * @example
+     * Item.propertyOf('Quantity in stock'); // "quantity"
+     * Item.propertyOf('quantity'); // "quantity"
+     */
+    static propertyOf(header) {
+      var columns = this.getColumns();
+      if (columns.hasOwnProperty(header)) return header;
+      var property = Object.keys(columns).find((name) => (columns[name]._options || {}).label === header);
+      return typeof property !== "undefined" ? property : header;
+    }
+
+    /**
+     * Describes the columns of the class, for tooling and user interfaces.
+     * @static
+     * @returns {Array<Object>} - One entry per column, in column order (see `getColumns()`):
+     *   - name {string}: The property.
+     *   - label {string}: The header in the sheet.
+     *   - type {string}: The `COLUMN()` factory of the column, such as "STRING".
+     *   - required {boolean}: Whether a value is required.
+     *   - order {number|null}: The `order` option.
+     *   - hidden {boolean}: Whether the column is hidden.
+     *   - system {boolean}: True for the columns managed by `GSTable` (`id`, timestamps, ...).
+     *   - default {any}: The value of the column in a new entity.
+     *   - references {string|null}: The name of the referenced class (FOREIGNKEY).
+     *   - folder {string|null}: The name of the Drive folder holding the files (FILE).
+     *   - values {Array|null}: The accepted values (ENUM).
+     *   - options {Object}: The other options of the column, such as its constraints.
+     *
+     * @example
+     * Item.describe().filter((column) => !column.system && !column.hidden).map((column) => column.label);
+     */
+    static describe() {
+      var types = {
+        date: "DATE", time: "TIME", str: "STRING", number: "NUMBER", bool: "BOOLEAN", fk: "FOREIGNKEY", file: "FILE",
+        json: "JSON", array: "ARRAY", enum: "ENUM", email: "EMAIL", url: "URL", datetime: "DATETIME", decimal: "DECIMAL",
+      };
+      var system = Object.getOwnPropertyNames(new GSTable()).concat(["version", "deleted_at", "deleted_by"]);
+      var columns = this.getColumns();
+
+      return Object.keys(columns).map((name) => {
+        var column = columns[name];
+        var {label, order, hidden, ...options} = column._options || {};
+        return {
+          name,
+          label: this.labelOf(name),
+          type: types[column._type] || column._type,
+          required: column._required,
+          order: typeof order === "number" ? order : null,
+          hidden: !!hidden,
+          system: system.includes(name),
+          default: column._value,
+          references: column._class ? column._class.name : null,
+          folder: column._type === "file" ? this.folderName(name) : null,
+          values: column._values || null,
+          options,
+        };
+      });
+    }
+
+    /**
+     * Lists the groups of columns whose values must be unique.
+     * @static
+     * @returns {Array<Array<string>>} - One array of properties per unique constraint.
+     *
+     * @description A column with `unique: true` makes a group of its own, columns sharing the
+     * same `unique` string make a composite group. The `id` column is always unique.
+     *
+     * @example
+     * // this.sku = GSTable.COLUMN().STRING(sku, true, { unique: true });
+     * // this.shop = GSTable.COLUMN().STRING(shop, true, { unique: "shop_code" });
+     * // this.code = GSTable.COLUMN().STRING(code, true, { unique: "shop_code" });
+     * Item.uniqueGroups(); // [["id"], ["sku"], ["shop", "code"]]
+     */
+    static uniqueGroups() {
+      var groups = { "column:id": ["id"] };
+      var columns = this.getColumns();
+      Object.keys(columns).forEach((property) => {
+        var unique = (columns[property]._options || {}).unique;
+        if (!unique) return;
+        var name = unique === true ? "column:" + property : "group:" + unique;
+        if (!groups[name]) groups[name] = [];
+        groups[name].push(property);
+      });
+      return Object.keys(groups).map((name) => groups[name]);
+    }
+
+    /**
+     * Builds the key used by the lookup indexes for a set of values.
+     * @static
+     * @param {Array<string>} fields - The indexed properties.
+     * @param {Array} values - The values of the properties, in the same order.
+     * @returns {string|null} - The key, or null if one of the values is empty.
+     */
+    static indexKey(fields, values) {
+      var columns = this.getColumns();
+      var normalized = fields.map((field, index) => {
+        var type = columns[field] ? columns[field]._type : null;
+        return GSTableQuery.normalize(values[index], type);
+      });
+      if (normalized.includes(null)) return null;
+      return JSON.stringify(normalized);
+    }
+
+    /**
+     * Returns an in-memory index of the sheet on one or more columns.
+     * @static
+     * @param {string|Array<string>} fields - The indexed properties.
+     * @returns {Map<string, Array<number>>} - The positions in `getSheetValues()` of the rows
+     * holding each key built by `indexKey()`. Rows with empty values are not indexed.
+     *
+     * @description The index is built from the cached snapshot of the sheet the first time it
+     * is needed and dropped every time the snapshot changes.
+     */
+    static getIndex(fields) {
+      fields = Array.isArray(fields) ? fields : [fields];
+      var cache = this.cache();
+      var name = fields.join("|");
+
+      if (!cache.indexes.hasOwnProperty(name)) {
+        var values = this.getSheetValues();
+        var positions = fields.map((field) => {
+          var position = values[0].indexOf(field);
+          if (position === -1) throw new Error("Unknown column '" + field + "' in " + this.name);
+          return position;
+        });
+        var index = new Map();
+        for (let i = 1; i < values.length; i++) {
+          let key = this.indexKey(fields, positions.map((position) => values[i][position]));
+          if (key === null) continue;
+          if (!index.has(key)) index.set(key, []);
+          index.get(key).push(i);
+        }
+        cache.indexes[name] = index;
+      }
+      return cache.indexes[name];
+    }
+
+    /**
+     * Finds every entity having the given value in a column.
+     * @static
+     * @param {string|Array<string>} fields - The property to match, or several properties.
+     * @param {any|Array} value - The value to look for, or one value per property.
+     * @param {Object} [options={}] - The lookup options, see `findAll()`.
+     * @returns {Array} - The matching entities.
+     *
+     * @description This static method looks the value up in an index built from a single
+     * read of the sheet, so calling it many times in the same execution does not scan the
+     * whole table each time. Values are compared according to the column type.
+     *
+     * @example
+     * const tools = Item.findAllBy('category', 'tools');
+     * const shelf = Item.findAllBy(['aisle', 'shelf'], [3, 'B']);
+     */
+    static findAllBy(fields, value, options = {}) {
+      fields = Array.isArray(fields) ? fields : [fields];
+      var values = Array.isArray(value) && fields.length > 1 ? value : [value];
+      var key = this.indexKey(fields, values);
+      if (key === null) return [];
+
+      var rows = this.getIndex(fields).get(key) || [];
+      var sheetValues = this.getSheetValues();
+      var deletedAt = sheetValues[0].indexOf("deleted_at");
+      return rows
+        .filter((position) => this.matchesTrashed(sheetValues[position][deletedAt], options.trashed))
+        .map((position) => this.fromJson(this.rowToObject(sheetValues[0], sheetValues[position], position + 1)));
+    }
+
+    /**
+     * Finds the first entity having the given value in a column.
+     * @static
+     * @param {string|Array<string>} fields - The property to match, or several properties.
+     * @param {any|Array} value - The value to look for, or one value per property.
+     * @param {Object} [options={}] - The lookup options, see `findAll()`.
+     * @returns {Object|null} - The matching entity, or null if not found.
+     *
+     * @example
+     * const item = Item.findOneBy('sku', 'X1');
+     */
+    static findOneBy(fields, value, options = {}) {
+      var found = this.findAllBy(fields, value, options);
+      return found.length > 0 ? found[0] : null;
+    }
+
+    /**
+     * Converts a row of the sheet into the raw object expected by `fromJson`.
+     * @static
+     * @param {Array<string>} headers - The header row.
+     * @param {Array} row - The row values.
+     * @param {number} row_number - The sheet row number.
+     * @returns {Object} - The raw data object.
+     */
+    static rowToObject(headers, row, row_number) {
+      var data = { row_number };
+      row.forEach((cell, index) => data[headers[index]] = cell);
+      return data;
+    }
+  
+    /**
+     * Converts a raw data object into an entity object.
+     * @static
+     * @param {Object} rawObject - The raw data object to be converted.
+     * @returns {Object} - An entity object created from the raw data.
+     *
+     * @description This static method is used to convert a raw data object, typically
+     * retrieved from a data source, into an entity object associated with the class 
+     * extended by `GSTable`. The method maps the properties of the raw data object 
+     * to the properties of the entity and returns the resulting entity. Column values are
+     * converted according to their type, see `GSTable.TYPES()`. The `afterLoad` hook and the
+     * "load" listeners are called on the entity before it is returned.
+     *
+     * @param {Object} rawObject - The raw data object to be converted into an entity.
+     * @returns {Object} - An entity object created from the raw data.
+     *
+     * @example
+     * const rawEntityData = {
+     *   Name: 'Alice',
+     *   Age: 28,
+     *   City: 'New York',
+     * };
+     * const entity = MyTable.fromJson(rawEntityData);
+     * console.log('Entity created from raw data:', entity);
+     */
+    static fromJson(rawObject) {
+      var dummyObj = new this();
+      var properties = Object.getOwnPropertyNames(dummyObj);
+  
+      properties.forEach((property) => {
+        if(this.isColumn(dummyObj[property])) {
+          dummyObj[property]._value = this.coerce(dummyObj[property], rawObject[property]);
+        } else {
+          dummyObj[property] = rawObject[property];
+        }
+      });
+  
+      dummyObj.trigger("load");
+      return dummyObj;
+    }
+  
+    /**
+     * Sets the value of a specific column in the entity.
+     * @param {string} key - The property key for which to set the value.
+     * @param {any} value - The new value to assign to the property.
+     *
+     * @description This method allows you to set the value of a specific column in the entity
+     * associated with the extended class by `GSTable`. Provide the property key and the new 
+     * value to update the column's value.
+     *
+     * @param {string} key - The property key to set the value for.
+     * @param {any} value - The new value to assign to the property.
+     *
+     * @example
+     * const entity = MyTable.findById('ABC123');
+     * entity.setValue('Age', 30);
+     * console.log('Updated Age:', entity.getValue('Age'));
+     */
+    setValue(key, value) {
+      this[key]._value = value;
+    }
+  
+    /**
+     * Gets the value of a specific column in the entity.
+     * @param {string} key - The property key for which to retrieve the value.
+     * @returns {any} - The value of the specified property.
+     *
+     * @description This method retrieves the value of a specific column in the entity
+     * associated with the class extended by `GSTable`. You can use the property key as 
+     * a parameter to fetch the corresponding column's value.
+     *
+     * @param {string} key - The name of the column to retrieve the value for.
+     * @returns {any} - The value of the specified column.
+     *
+     * @example
+     * const entity = MyTable.findById('ABC123');
+     * const ageValue = entity.getValue('Age');
+     * console.log('Age:', ageValue);
+     */
+    getValue(key) {
+      return this[key]._value;
+    }
+  
+    /**
+     * Retrieves an array of values used to update the row on the Spreadsheet.
+     * @param {Array} [headers] - The sheet headers, read from `getTableInfo()` when omitted.
+     * @returns {Array} - An array of property values ready for an update operation.
+     *
+     * @description This method extracts the values of properties in the entity that are
+     * marked for update and returns them as an array. It prepares the property values for
+     * updating the associated data source, typically a Google Sheets table. Pass the headers
+     * when they are already known to avoid reading the table information again.
+     *
+     * @param {Array} [headers] - The sheet headers, read from `getTableInfo()` when omitted.
+     * @returns {Array} - An array of property values ready for an update operation.
+     *
+     * @example
+     * const entity = MyTable.findById('ABC123');
+     * const updateArray = entity.getUpdateArray();
+     * console.log('Values for update:', updateArray);
+     */
+    getUpdateArray(headers = this.constructor.getTableInfo().headers) {
+      var updateArray = [];
+  
+      headers.forEach((header) => {
+        var propertyInfo = this[header];
+
+        if(this.constructor.isColumn(propertyInfo)) {
+            updateArray.push(this.constructor.coerce(propertyInfo, propertyInfo._value, "serialize"));
+        } else {
+            // Columns kept in the sheet but not declared in the class.
+            updateArray.push("");
+        }
+      });
+      return updateArray;
+    }
+  
+    /**
+     * Checks if required properties have values in the entity.
+     * @param {Array} headers - An array of property names to check.
+     * @param {Array} updateArray - An array of property values for update.
+     * @returns {Array} - An array of property names that are required but missing values.
+     *
+     * @description This method checks if required properties in the entity have values assigned.
+     * It takes an array of property names to check and an array of property values prepared for
+     * an update operation. It returns an array of property names that are required but do not
+     * have values in the update array. `0` and `false` are valid values: only undefined,
+     * null and empty strings are considered missing.
+     *
+     * @param {Array} headers - An array of property names to check.
+     * @param {Array} updateArray - An array of property values for update.
+     * @returns {Array} - An array of property names that are required but missing values.
+     *
+     * @example
+     * const entity = MyTable.findById('ABC123');
+     * const headers = ['Name', 'Age', 'City'];
+     * const updateArray = [ 'Alice', 28, 'New York' ];
+     * const missingRequired = entity.checkRequired(headers, updateArray); //length === 0
+     * console.log('Missing required properties:', missingRequired);
+     */
+    checkRequired(headers, updateArray) {
+      var wrongs = [];
+      for(let i = 0; i < headers.length; i++) {
+        let header = headers[i];
+        let element = updateArray[i];
+  
+        if(this.constructor.isColumn(this[header]) && this[header]._required && (typeof element === "undefined" || element === null || element === "")) {
+          wrongs.push(header);
+        };
+      }
+      return wrongs;
+    }
+  
+    /**
+     * Checks that the value of every column can be converted to the column type.
+     * @returns {Array<Object>} - One entry per invalid column, containing:
+     *   - field {string}: The property name.
+     *   - rule {string}: Always "type".
+     *   - message {string}: A description of the problem.
+     *   - value {any}: The invalid value.
+     *
+     * @description This method runs the parser returned by `GSTable.TYPES()` for the type of
+     * every column of the entity and reports the values that cannot be converted, such as a
+     * non-numeric string in a NUMBER column or "25:00" in a TIME column.
+     *
+     * @example
+     * const entity = new MyTable("Alice", "twenty");
+     * entity.checkTypes(); // [{ field: 'age', rule: 'type', message: 'expects a number, got "twenty"', value: 'twenty' }]
+     */
+    checkTypes() {
+      var wrongs = [];
+      var types = this.constructor.TYPES();
+
+      Object.getOwnPropertyNames(this).forEach((property) => {
+        var propertyInfo = this[property];
+        if(!this.constructor.isColumn(propertyInfo) || !types[propertyInfo._type]) return;
+        try {
+          types[propertyInfo._type].parse(propertyInfo._value, propertyInfo);
+        } catch (e) {
+          wrongs.push({ field: property, rule: "type", message: e.message, value: propertyInfo._value });
+        }
+      });
+      return wrongs;
+    }
+
+    /**
+     * Collects every reason that prevents the entity from being written.
+     * @param {Array} headers - The sheet headers.
+     * @param {Array} updateArray - The row that would be written, in header order.
+     * @param {Map<string, Object>} [claimed] - The unique keys taken by a batch, see `checkUnique()`.
+     * @returns {Array<Object>} - The errors, in the format described in `checkTypes()`.
+     *
+     * @description Used by `persist()` and `saveAll()`: it combines the missing required
+     * properties reported by `checkRequired` with the invalid values reported by `checkTypes`
+     * and `checkConstraints`. Unique constraints, which need to read the sheet, are checked
+     * only when everything else is valid.
+     */
+    collectErrors(headers, updateArray, claimed = null) {
+      var errors = this.checkRequired(headers, updateArray).map((field) => {
+        return { field, rule: "required", message: "is marked as 'required'", value: this[field]._value };
+      });
+      errors = errors.concat(this.checkTypes().filter((error) => !errors.some((wrong) => wrong.field === error.field)));
+      errors = errors.concat(this.checkConstraints().filter((error) => !errors.some((wrong) => wrong.field === error.field)));
+      return errors.length > 0 ? errors : this.checkUnique(claimed);
+    }
+
+    /**
+     * Checks the unique constraints of the entity against the rows of the sheet.
+     * @param {Map<string, Object>} [claimed] - Keys already taken by other entities of the same
+     * batch, updated with the keys of this entity when it passes the check.
+     * @returns {Array<Object>} - The violations, in the format described in `checkTypes()`, with
+     * `rule` set to "unique" and `field` listing the properties of the violated group.
+     *
+     * @description The sheet is read once per execution (see `getIndex()`); the row of the
+     * entity itself is not considered a duplicate. Groups with an empty value are skipped.
+     *
+     * @example
+     * // this.sku = GSTable.COLUMN().STRING(sku, true, { unique: true });
+     * new Item("X1").checkUnique(); // [{ field: 'sku', rule: 'unique', ... }] if X1 already exists
+     */
+    checkUnique(claimed = null) {
+      var wrongs = [];
+      var groups = this.constructor.uniqueGroups();
+      var keys = [];
+
+      groups.forEach((fields) => {
+        var values = fields.map((field) => this[field]._value);
+        var key = this.constructor.indexKey(fields, values);
+        if (key === null) return;
+
+        var rows = this.constructor.getIndex(fields).get(key) || [];
+        var taken = rows.some((position) => position + 1 !== this.row_number);
+        var claimedBy = claimed !== null ? claimed.get(fields.join("|") + key) : undefined;
+        if (taken || (claimedBy && claimedBy !== this)) {
+          wrongs.push({ field: fields.join(", "), rule: "unique", message: "must be unique, " + values.join(", ") + " already exists", value: values });
+        }
+        keys.push(fields.join("|") + key);
+      });
+
+      if (claimed !== null && wrongs.length === 0) keys.forEach((key) => claimed.set(key, this));
+      return wrongs;
+    }
+
+    /**
+     * Checks the constraints declared in the options of each column.
+     * @returns {Array<Object>} - The violations, in the format described in `checkTypes()`. The
+     * `rule` of each violation is the name of the failing option ("min", "pattern"...).
+     *
+     * @description Empty values are skipped by every option except `validate`, since they are
+     * already handled by the `required` flag. Values are compared after being converted to
+     * their column type, so `min` and `max` work with numbers, dates and times alike.
+     *
+     * @example
+     * // this.age = GSTable.COLUMN().NUMBER(age, true, { min: 18 });
+     * new MyTable("Bob", 12).checkConstraints(); // [{ field: 'age', rule: 'min', message: 'must be at least 18', value: 12 }]
+     */
+    checkConstraints() {
+      var wrongs = [];
+
+      Object.getOwnPropertyNames(this).forEach((field) => {
+        var propertyInfo = this[field];
+        if(!this.constructor.isColumn(propertyInfo) || !propertyInfo._options) return;
+
+        var options = propertyInfo._options;
+        var value = this.constructor.coerce(propertyInfo, propertyInfo._value);
+        var comparable = GSTableQuery.normalize(value, propertyInfo._type);
+        var fail = (rule, message) => wrongs.push({ field, rule, message, value: propertyInfo._value });
+
+        if(comparable !== null) {
+          if(options.hasOwnProperty("min") && comparable < GSTableQuery.normalize(options.min, propertyInfo._type)) {
+            fail("min", "must be at least " + options.min);
+          }
+          if(options.hasOwnProperty("max") && comparable > GSTableQuery.normalize(options.max, propertyInfo._type)) {
+            fail("max", "must be at most " + options.max);
+          }
+          if(options.hasOwnProperty("minLength") && String(value).length < options.minLength) {
+            fail("minLength", "must be at least " + options.minLength + " characters long");
+          }
+          if(options.hasOwnProperty("maxLength") && String(value).length > options.maxLength) {
+            fail("maxLength", "must be at most " + options.maxLength + " characters long");
+          }
+          if(options.hasOwnProperty("pattern")) {
+            var pattern = options.pattern instanceof RegExp ? options.pattern : new RegExp(options.pattern);
+            if(!pattern.test(String(value))) fail("pattern", "must match " + pattern);
+          }
+          if(Array.isArray(options.values)) {
+            var allowed = options.values.map((allowedValue) => GSTableQuery.normalize(allowedValue, propertyInfo._type));
+            if(!allowed.includes(comparable)) fail("values", "must be one of " + options.values.join(", "));
+          }
+        }
+
+        if(options.checkExists && propertyInfo._type === "fk" && comparable !== null && propertyInfo._class.findById(value) === null) {
+          fail("checkExists", "references a " + propertyInfo._class.name + " that does not exist: " + value);
+        }
+
+        if(typeof options.validate === "function") {
+          var result;
+          try {
+            result = options.validate(value, this);
+          } catch (e) {
+            result = e.message;
+          }
+          if(result === false) fail("validate", "is not valid");
+          if(typeof result === "string") fail("validate", result);
+        }
+      });
+      return wrongs;
+    }
+
+    /**
+     * Validates the entity without writing it.
+     * @param {Map<string, Object>} [claimed] - The unique keys taken by other entities about to
+     * be written with this one, see `checkUnique()`.
+     * @returns {Array<Object>} - Every violation, in the format described in `checkTypes()`.
+     *
+     * @description This method reports everything that would make `persist()` fail: missing
+     * required values, values that do not match the column type, violated constraints and
+     * values already taken in a unique column.
+     * System properties that `persist()` fills in by itself, like the `id` of a new entity,
+     * are not reported. An empty array means the entity can be persisted.
+     *
+     * @example
+     * const entity = new MyTable("Bob", 12);
+     * const errors = entity.validate();
+     * if (errors.length === 0) entity.persist();
+     */
+    validate(claimed = null) {
+      var columns = Object.getOwnPropertyNames(this).filter((property) => this.constructor.isColumn(this[property]));
+      var {updateArray} = this.prepareWrite(columns, new Date(), this.constructor.activeUserEmail(), false);
+      var generated = this.id._value === "" && this.constructor.primaryKey().strategy !== "natural";
+
+      var errors = this.collectErrors(columns, updateArray, claimed);
+      var reported = errors.filter((error) => !(generated && error.field === "id" && error.rule === "required"));
+      // The missing id alone stops collectErrors before the unique constraints.
+      return reported.length === 0 && errors.length > 0 ? this.checkUnique(claimed) : reported;
+    }
+
+    /**
+     * Returns the email of the user running the script.
+     * @static
+     * @returns {string|null} - The email of the active user, or null if it is not available.
+     */
+    static activeUserEmail() {
+      return this.storage().activeUser();
+    }
+
+    /**
+     * Prepares the row to write for the entity without changing it.
+     * @param {Array} headers - The sheet headers.
+     * @param {Date} now - The timestamp to use for `modified` (and `created` on insert).
+     * @param {string|null} user - The email of the active user.
+     * @param {boolean} [generateKey=true] - Whether to generate the `id` of a new entity.
+     * @returns {Object} - An object containing:
+     *   - updateArray {Array}: The row to write, in header order.
+     *   - stamps {Object}: The system properties to assign to the entity once the row is written.
+     *   - isNew {boolean}: True if the entity has never been persisted.
+     *
+     * @description This method is used by `persist()` and `saveAll()` to compute the row of
+     * the entity with the updated `modified` and `last_modified_by` values and, for new
+     * entities, `created`, `created_by` and, if the entity has none, an `id` generated by
+     * `generateKey()`. The entity is left untouched so that it can be rejected by
+     * `checkRequired` without side effects. An entity is new when it has no row number,
+     * so an entity created with a natural key (or removed earlier) is inserted with its `id`.
+     *
+     * @example
+     * const {headers} = MyTable.getTableInfo();
+     * const {updateArray, stamps} = entity.prepareWrite(headers, new Date(), MyTable.activeUserEmail());
+     */
+    prepareWrite(headers, now, user, generateKey = true) {
+      var isNew = !(this.row_number > 0);
+      var stamps = { modified: now };
+      if(user !== null) stamps.last_modified_by = user;
+      if(this.constructor.versioned()) stamps.version = isNew ? 1 : (Number(this.version._value) || 0) + 1;
+
+      if(isNew) {
+        if(this.id._value === "" && generateKey && this.constructor.primaryKey().strategy !== "natural") {
+          stamps.id = this.constructor.generateKey();
+        }
+        // Entities inserted again by `revertTo()` keep their creation stamps.
+        if(!this.keepCreated) {
+          stamps.created = now;
+          stamps.created_by = user !== null ? user : this.last_modified_by._value;
+        }
+      }
+
+      var updateArray = [...this.getUpdateArray(headers)];
+      if(!isNew) this.keepUnknownCells(headers, updateArray, () => this.constructor.getSheetValues()[this.row_number - 1] || []);
+      Object.keys(stamps).forEach((prop) => {
+        var pos = headers.indexOf(prop);
+        if(pos !== -1) updateArray[pos] = stamps[prop];
+      });
+      return { updateArray, stamps, isNew };
+    }
+
+    /**
+     * Copies the cells of the columns the class does not know about into a row about to be written.
+     * @param {Array} headers - The sheet headers.
+     * @param {Array} updateArray - The row computed by `getUpdateArray()`, updated in place.
+     * @param {Function} readRow - Returns the row as it is in the sheet, called only if some
+     * headers match no column of the class.
+     *
+     * @description `getUpdateArray()` leaves those cells empty, and writing the row as it is
+     * would erase what is stored in the columns kept by `unknownColumns()`. Used by
+     * `prepareWrite()` and `syncRows()`.
+     */
+    keepUnknownCells(headers, updateArray, readRow) {
+      var unknown = headers.filter((header) => !this.constructor.isColumn(this[header]));
+      if (unknown.length === 0) return;
+      var current = readRow();
+      headers.forEach((header, pos) => {
+        if (unknown.includes(header)) updateArray[pos] = typeof current[pos] === "undefined" ? "" : current[pos];
+      });
+    }
+
+    /**
+     * Persists changes made to the entity in the data source.
+     *
+     * @description This method is used to persist changes made to the entity associated with
+     * the expanded class by `GSTable` to the data source, a Google Sheets table. It updates
+     * the modified timestamp and the last modified by user, assigns an ID if needed, and
+     * adds or updates the entity's data in the data source.
+     *
+     * Before updating, the row is checked to still hold the `id` of the entity and looked up
+     * again if other rows were inserted or deleted above it. The write happens under the
+     * script lock (see `withLock()`).
+     *
+     * The `beforeValidate`, `beforePersist` and `afterPersist` hooks and the matching
+     * listeners (see `GSTable.on()`) are called along the way; a `before*` hook returning
+     * false cancels the write.
+     *
+     * @returns {boolean} - True if the entity has been written, false if a hook cancelled it.
+     *
+     * @throws {ValidationError} If required properties have missing values, values that do
+     * not match the column type or violate the column constraints (see `validate()`). The
+     * `errors` property of the error lists every bad field.
+     * @throws {ConcurrencyError} If the row has been deleted meanwhile or, for classes with
+     * `versioned()`, updated by someone else since the entity was read.
+     *
+     * @example
+     * const entity = new MyTable();
+     * entity.setValue('Name', 'Alice');
+     * entity.setValue('Age', 28);
+     * entity.persist();
+     */
+    persist() {
+      if (this.projection) throw new Error(this.constructor.projectionError(this));
+      var isNew = !(this.row_number > 0);
+      if (this.trigger("beforeValidate", isNew) === false) return false;
+
+      var written = this.constructor.withLock(() => {
+        var storage = this.constructor.storage();
+        var {sheet, headers} = this.constructor.getTableInfo();
+        if (this.row_number > 0) {
+          var failures = this.constructor.locateRows([this], true);
+          if (failures.length > 0) throw failures[0].error;
+        }
+        var {updateArray, stamps} = this.prepareWrite(headers, new Date(), this.constructor.activeUserEmail());
+
+        var errors = this.collectErrors(headers, updateArray);
+        if(errors.length > 0) {
+          throw new ValidationError(errors);
+        }
+        if (!this.confirmWrite(headers, updateArray, stamps, isNew)) return false;
+        var uploads = this.uploadFiles(headers, updateArray);
+        Object.keys(stamps).forEach((prop) => this[prop]._value = stamps[prop]);
+        var before = !isNew && this.constructor.audited() ? [...(this.constructor.getSheetValues()[this.row_number - 1] || [])] : null;
+
+        try {
+          if (isNew) {
+            this.row_number = storage.append(sheet, [updateArray]);
+          } else {
+            storage.writeRange(sheet, this.row_number, 1, [updateArray]);
+          }
+        } catch (error) {
+          this.discardUploads(uploads);
+          throw error;
+        }
+        this.constructor.cacheRows(this.row_number, [updateArray]);
+        this.constructor.audit([{ entity: this, before, after: updateArray }]);
+        return true;
+      });
+
+      if (written) this.trigger("persist", isNew);
+      return written;
+    }
+  
+    /**
+     * Removes the entity from the data source.
+     *
+     * @description This method is used to remove the entity associated with the expanded
+     * class by `GSTable` from the data source, a Google Sheets table. It deletes the 
+     * entity's data from the data source and resets the entity's row number to indicate
+     * removal. The `onDelete` rules of the foreign keys of every registered class pointing
+     * to the entity are applied first (see `planDelete()`). For classes with
+     * `softDeletes()` the row is kept and only marked as deleted, and no rule is applied.
+     * The `beforeRemove` hook (or a "beforeRemove" listener) can cancel the removal by
+     * returning false; `afterRemove` and the "remove" listeners are called once it is done.
+     * Entities removed by a "cascade" rule go through the same hooks.
+     *
+     * @returns {boolean} - True if the entity has been removed, false if a hook cancelled it or
+     * its row had already been deleted from the sheet (the hooks and listeners are then skipped).
+     *
+     * @throws {IntegrityError} If a foreign key with `onDelete: "restrict"` references the
+     * entity, or the `beforeRemove` hook of an entity removed by a cascade returns false.
+     *
+     * @example
+     * const entity = MyTable.findById('ABC123');
+     * entity.remove();
+     */
+    remove() {
+      if (this.row_number === 0) return false;
+      if (this.trigger("beforeRemove") === false) return false;
+
+      if (this.constructor.softDeletes()) {
+        if (this.softRemove() === false) return false;
+      } else if (this.forceRemove() === false) {
+        return false;
+      }
+      this.trigger("remove");
+      return true;
+    }
+
+    /**
+     * Marks the entity as deleted by filling in `deleted_at` and `deleted_by`.
+     *
+     * @description Used by `remove()` for classes with `softDeletes()`. The entity keeps its
+     * row and can be brought back with `restore()`. If the write is cancelled or throws, the
+     * previous `deleted_at` and `deleted_by` are put back, so the entity is not left marked as
+     * deleted in memory only.
+     */
+    softRemove() {
+      if (this.row_number === 0) return false;
+      var previous = [this.deleted_at._value, this.deleted_by._value];
+      var undo = () => [this.deleted_at._value, this.deleted_by._value] = previous;
+      this.deleted_at._value = new Date();
+      var user = this.constructor.activeUserEmail();
+      this.deleted_by._value = user !== null ? user : "";
+      try {
+        var persisted = this.persist();
+      } catch (error) {
+        undo();
+        throw error;
+      }
+      if (persisted === false) undo();
+      return persisted;
+    }
+
+    /**
+     * Brings back an entity removed with soft deletes.
+     *
+     * @description Empties `deleted_at` and `deleted_by` and persists the entity, so that it
+     * is returned again by `findAll`, `findById` and queries.
+     *
+     * @example
+     * Customer.onlyTrashed().where('name', 'Alice').first().restore();
+     */
+    restore() {
+      if (!this.constructor.softDeletes()) return;
+      this.deleted_at._value = "";
+      this.deleted_by._value = "";
+      this.persist();
+    }
+
+    /**
+     * Checks whether the entity has been removed with soft deletes.
+     * @returns {boolean} - True if the entity is marked as deleted.
+     */
+    isTrashed() {
+      return this.constructor.softDeletes() && !this.constructor.matchesTrashed(this.deleted_at._value);
+    }
+
+    /**
+     * Deletes the row of the entity, even for classes with `softDeletes()`.
+     *
+     * @description This is the physical deletion performed by `remove()` on classes without
+     * soft deletes, `onDelete` rules included.
+     *
+     * @returns {boolean} - True if the row has been deleted, false if it was no longer in the sheet.
+     *
+     * @throws {IntegrityError} If a foreign key with `onDelete: "restrict"` references the entity.
+     *
+     * @example
+     * Customer.onlyTrashed().get().forEach((customer) => customer.forceRemove());
+     */
+    forceRemove() {
+      if (this.row_number === 0) return false;
+
+      var cascaded = [];
+      var removed = this.constructor.withLock(() => {
+        // The row may be gone already, or have moved since the entity was read.
+        if (this.constructor.locateRows([this]).length > 0) {
+          this.row_number = 0;
+          return false;
+        }
+
+        // Apply the onDelete rules of the foreign keys pointing to this entity first.
+        var own = this.constructor.applyDeletePlan(this.constructor.planDelete([this]));
+        if (own.length > 1) {
+          cascaded = this.constructor.deleteEntities(own).removed.filter((entity) => entity !== this);
+          return true;
+        }
+
+        var {sheet} = this.constructor.getTableInfo();
+        var before = this.constructor.audited() ? [...(this.constructor.getSheetValues()[this.row_number - 1] || [])] : null;
+        this.constructor.storage().deleteRows(sheet, this.row_number, 1);
+        this.constructor.uncacheRows(this.row_number);
+
+        this.row_number = 0;
+        this.constructor.audit([{ entity: this, before, after: null }]);
+        this.constructor.trashFiles([this]);
+        return true;
+      });
+      cascaded.forEach((entity) => entity.trigger("remove"));
+      return removed;
+    }
+
+    /**
+     * Persists a set of entities with as few writes as possible.
+     * @static
+     * @param {Array} entities - The entities to insert or update.
+     * @returns {Object} - A report containing:
+     *   - inserted {Array}: The entities appended to the sheet.
+     *   - updated {Array}: The entities whose row has been overwritten.
+     *   - failed {Array<{entity: Object, error: Error}>}: The entities that were not written and why.
+     *   - cancelled {Array}: The entities whose `beforeValidate` or `beforePersist` hook returned false.
+     *
+     * @description This static method is the batch counterpart of `persist()`. The table
+     * information and the active user are read once, required properties are checked for
+     * every entity before anything is written, new entities are appended with a single
+     * `setValues` call and updated entities are written in one call per block of contiguous
+     * rows. Entities failing the checks are reported and left untouched, the others are
+     * written anyway. Unique constraints are checked against the sheet and between the
+     * entities of the batch. An entity listed twice is written once, while a second entity
+     * pointing to a row already written by the batch is reported as failed. The lifecycle
+     * hooks are called for every entity, like in `persist()`.
+     *
+     * @example
+     * const items = rows.map((row) => new Item(row.name, row.quantity, row.image));
+     * const report = Item.saveAll(items);
+     * console.log(report.inserted.length + ' inserted, ' + report.failed.length + ' failed');
+     */
+    static saveAll(entities = []) {
+      entities = [...new Set(entities)];
+      var report = { inserted: [], updated: [], failed: [], cancelled: [] };
+      if(entities.length === 0) return report;
+
+      this.withLock(() => {
+        var storage = this.storage();
+        var {sheet, headers} = this.getTableInfo();
+        var now = new Date();
+        var user = this.activeUserEmail();
+        var inserts = [];
+        var updates = new Map();
+        var claimed = new Map();
+
+        var failures = this.locateRows(entities.filter((entity) => entity.row_number > 0), true);
+        failures.forEach((failure) => report.failed.push(failure));
+        var listed = new Set();
+
+        entities.forEach((entity) => {
+          if(failures.some((failure) => failure.entity === entity)) return;
+          if(entity.row_number > 0) {
+            if(listed.has(entity.row_number)) {
+              report.failed.push({ entity, error: new Error(this.name + " '" + entity.id._value + "' is listed twice in the batch, its row is written by another entity") });
+              return;
+            }
+            listed.add(entity.row_number);
+          }
+          if(entity.projection) {
+            report.failed.push({ entity, error: new Error(this.projectionError(entity)) });
+            return;
+          }
+          if(entity.trigger("beforeValidate", !(entity.row_number > 0)) === false) {
+            report.cancelled.push(entity);
+            return;
+          }
+          var {updateArray, stamps, isNew} = entity.prepareWrite(headers, now, user);
+          var errors = entity.collectErrors(headers, updateArray, claimed);
+          if(errors.length > 0) {
+            report.failed.push({ entity, error: new ValidationError(errors) });
+            return;
+          }
+          if(!entity.confirmWrite(headers, updateArray, stamps, isNew)) {
+            report.cancelled.push(entity);
+            return;
+          }
+
+          Object.keys(stamps).forEach((prop) => entity[prop]._value = stamps[prop]);
+          if(isNew) {
+            inserts.push({ entity, updateArray });
+          } else {
+            var before = this.audited() ? [...(this.getSheetValues()[entity.row_number - 1] || [])] : null;
+            updates.set(entity.row_number, { entity, updateArray, before });
+          }
+        });
+
+        // Files are uploaded once every entity has been checked; the uploads of the entities
+        // left unwritten by a failing write are trashed.
+        var uploads = new Map();
+        try {
+          inserts.concat([...updates.values()]).forEach((write) => {
+            uploads.set(write.entity, write.entity.uploadFiles(headers, write.updateArray));
+          });
+
+          if(inserts.length > 0) {
+            var firstRow = storage.append(sheet, inserts.map((insert) => insert.updateArray));
+            this.cacheRows(firstRow, inserts.map((insert) => insert.updateArray));
+            inserts.forEach((insert, index) => {
+              insert.entity.row_number = firstRow + index;
+              report.inserted.push(insert.entity);
+            });
+          }
+
+          this.contiguousBlocks([...updates.keys()].sort((a, b) => a - b)).forEach((block) => {
+            var rows = block.map((row_number) => updates.get(row_number));
+            storage.writeRange(sheet, block[0], 1, rows.map((row) => row.updateArray));
+            this.cacheRows(block[0], rows.map((row) => row.updateArray));
+            rows.forEach((row) => report.updated.push(row.entity));
+          });
+        } catch (error) {
+          uploads.forEach((files, entity) => {
+            if(!report.inserted.includes(entity) && !report.updated.includes(entity)) entity.discardUploads(files);
+          });
+          throw error;
+        }
+
+        this.audit(inserts.map((insert) => ({ entity: insert.entity, before: null, after: insert.updateArray }))
+          .concat([...updates.values()].map((update) => ({ entity: update.entity, before: update.before, after: update.updateArray }))));
+      });
+
+      report.inserted.forEach((entity) => entity.trigger("persist", true));
+      report.updated.forEach((entity) => entity.trigger("persist", false));
+      return report;
+    }
+
+    /**
+     * Removes a set of entities with as few deletions as possible.
+     * @static
+     * @param {Array} entities - The entities to remove.
+     * @returns {Object} - A report containing:
+     *   - removed {Array}: The entities deleted from the sheet.
+     *   - failed {Array<{entity: Object, error: Error}>}: The entities that were not deleted and why.
+     *   - cancelled {Array}: The entities whose `beforeRemove` hook returned false.
+     *
+     * @description This static method is the batch counterpart of `remove()`. Rows are
+     * deleted from the bottom of the sheet up, one call per block of contiguous rows, so that
+     * deleting a row never shifts the rows still waiting to be deleted. The `onDelete` rules
+     * are applied like in `remove()`; entities of the same class removed by a cascade are
+     * listed in the report as well. For classes with `softDeletes()` the entities are only
+     * marked as deleted, with a single `saveAll()`.
+     *
+     * @throws {IntegrityError} If a foreign key with `onDelete: "restrict"` references one of the entities.
+     *
+     * @example
+     * const outOfStock = Item.query().where('quantity', 0).get();
+     * Item.removeAll(outOfStock);
+     */
+    static removeAll(entities = []) {
+      var cancelled = entities.filter((entity) => entity.row_number > 0 && entity.trigger("beforeRemove") === false);
+      entities = entities.filter((entity) => !cancelled.includes(entity));
+
+      var report;
+      if (this.softDeletes()) {
+        var now = new Date();
+        var user = this.activeUserEmail();
+        var pending = entities.filter((entity) => entity.row_number > 0);
+        var previous = pending.map((entity) => [entity.deleted_at._value, entity.deleted_by._value]);
+        var undo = (entity) => [entity.deleted_at._value, entity.deleted_by._value] = previous[pending.indexOf(entity)];
+        pending.forEach((entity) => {
+          entity.deleted_at._value = now;
+          entity.deleted_by._value = user !== null ? user : "";
+        });
+        try {
+          var saved = this.saveAll(pending);
+        } catch (error) {
+          pending.forEach(undo);
+          throw error;
+        }
+        saved.failed.forEach((failure) => undo(failure.entity));
+        saved.cancelled.forEach(undo);
+        report = {
+          removed: saved.updated,
+          failed: entities.filter((entity) => !(entity.row_number > 0))
+            .map((entity) => ({ entity, error: new Error("Entity '" + entity.id._value + "' has no row number") }))
+            .concat(saved.failed),
+        };
+        cancelled = cancelled.concat(saved.cancelled);
+      } else {
+        report = this.forceRemoveAll(entities);
+      }
+
+      report.cancelled = cancelled;
+      // Entities removed by a cascade have been notified by forceRemoveAll().
+      report.removed.filter((entity) => entities.includes(entity)).forEach((entity) => entity.trigger("remove"));
+      return report;
+    }
+
+    /**
+     * Deletes the rows of a set of entities, even for classes with `softDeletes()`.
+     * @static
+     * @param {Array} entities - The entities to remove.
+     * @returns {Object} - The report described in `removeAll()`.
+     *
+     * @throws {IntegrityError} If a foreign key with `onDelete: "restrict"` references one of the entities.
+     */
+    static forceRemoveAll(entities = []) {
+      var report = this.withLock(() => {
+        var gone = this.locateRows(entities.filter((entity) => entity.row_number > 0));
+        gone.forEach((failure) => failure.entity.row_number = 0);
+
+        var own = this.applyDeletePlan(this.planDelete(entities.filter((entity) => entity.row_number > 0)));
+        return this.deleteEntities(entities.concat(own.filter((entity) => !entities.includes(entity))));
+      });
+      report.removed.filter((entity) => !entities.includes(entity)).forEach((entity) => entity.trigger("remove"));
+      return report;
+    }
+
+    /**
+     * Deletes the rows of a set of entities, bottom up, without applying any rule.
+     * @static
+     * @param {Array} entities - The entities to delete.
+     * @returns {Object} - The report described in `removeAll()`.
+     */
+    static deleteEntities(entities = []) {
+      var report = { removed: [], failed: [] };
+      var byRow = new Map();
+
+      entities.forEach((entity) => {
+        if(entity.row_number <= 0) {
+          report.failed.push({ entity, error: new Error("Entity '" + entity.id._value + "' has no row number") });
+          return;
+        }
+        if(!byRow.has(entity.row_number)) byRow.set(entity.row_number, []);
+        byRow.get(entity.row_number).push(entity);
+      });
+      if(byRow.size === 0) return report;
+
+      var storage = this.storage();
+      var {sheet} = this.getTableInfo();
+      var blocks = this.contiguousBlocks([...byRow.keys()].sort((a, b) => a - b));
+      var changes = this.audited()
+        ? [...byRow.keys()].map((row_number) => ({ entity: byRow.get(row_number)[0], before: [...(this.getSheetValues()[row_number - 1] || [])], after: null }))
+        : [];
+
+      blocks.reverse().forEach((block) => {
+        storage.deleteRows(sheet, block[0], block.length);
+        this.uncacheRows(block[0], block.length);
+        block.forEach((row_number) => {
+          byRow.get(row_number).forEach((entity) => {
+            entity.row_number = 0;
+            report.removed.push(entity);
+          });
+        });
+      });
+
+      this.audit(changes);
+      this.trashFiles(report.removed);
+      storage.flush();
+      return report;
+    }
+
+    /**
+     * Exports entities of the class as CSV.
+     * @static
+     * @param {GSTableQuery} [query] - The query selecting the entities, every entity by default.
+     * @param {Object} [options={}] - The export options:
+     *   - delimiter {string}: The cell separator (default ",").
+     * @returns {string} - The CSV text: a header row with the column labels, then one line per entity.
+     *
+     * @description Every column of the class is exported in sheet order. Dates are written in
+     * ISO 8601 format, so that the text can be imported again with `importCsv()`.
+     *
+     * @example
+     * const csv = Item.exportCsv(Item.query().where('quantity', '>', 0));
+     * DriveApp.createFile('items.csv', csv, MimeType.CSV);
+     */
+    static exportCsv(query = null, options = {}) {
+      var {delimiter = ","} = options;
+      var columns = this.getColumns();
+      var fields = this.getTableInfo().headers.filter((header) => columns.hasOwnProperty(header));
+      var entities = (query !== null ? query : this.query()).get();
+
+      var rows = [fields.map((field) => this.labelOf(field))].concat(entities.map((entity) => {
+        return fields.map((field) => this.coerce(entity[field], entity[field]._value, "serialize"));
+      }));
+      return this.toCsv(rows, delimiter);
+    }
+
+    /**
+     * Exports entities of the class as JSON.
+     * @static
+     * @param {GSTableQuery} [query] - The query selecting the entities, every entity by default.
+     * @returns {string} - A JSON array with the simple object of each entity, see `toSimpleOjbect()`.
+     *
+     * @description Relations loaded by the query with `with()` are included.
+     *
+     * @example
+     * const json = Order.exportJson(Order.query().with('lines'));
+     */
+    static exportJson(query = null) {
+      var entities = (query !== null ? query : this.query()).get();
+      return JSON.stringify(entities.map((entity) => entity.toSimpleOjbect()), null, 2);
+    }
+
+    /**
+     * Imports the lines of a CSV text as entities of the class.
+     * @static
+     * @param {string} text - The CSV text, with a header row.
+     * @param {Object} [options={}] - The import options:
+     *   - mapping {Object}: The property (or label) of each CSV header that does not match a
+     *     column by itself; map a header to null to skip it.
+     *   - mode {string}: "insert" (default) to add every line, "upsert" to update the rows whose
+     *     `key` matches the line and insert the others.
+     *   - key {string}: The column matching the lines to the rows in "upsert" mode (default "id").
+     *   - dryRun {boolean}: Checks the lines without writing anything (default false).
+     *   - batchSize {number}: The number of lines written by each `saveAll()` (default 500).
+     *   - delimiter {string}: The cell separator (default ",").
+     * @returns {Object} - A report containing:
+     *   - inserted {number}: The number of lines inserted (or that would be, with `dryRun`).
+     *   - updated {number}: The number of lines updated (or that would be, with `dryRun`).
+     *   - rejected {number}: The number of lines rejected.
+     *   - ignored {Array<string>}: The CSV headers that match no column.
+     *   - lines {Array<Object>}: One entry per line with its `line` number in the text, its
+     *     `status` ("inserted", "updated" or "rejected"), the `id` of the entity and the
+     *     `errors` that made it rejected, in the format described in `checkTypes()`.
+     *
+     * @description Cells are converted by the column types and every entity goes through the
+     * same checks as `saveAll()`: required values, types, constraints and unique columns,
+     * between the lines of the text as well. Rejected lines are reported, the others are
+     * written anyway. In "upsert" mode only the columns present in the text are changed.
+     *
+     * @throws {Error} If the mode is unknown or, in "upsert" mode, the text has no `key` column.
+     *
+     * @example
+     * const report = Item.importCsv(csv, { mapping: { 'Product': 'name' }, mode: 'upsert', key: 'sku' });
+     * report.lines.filter((line) => line.status === 'rejected').forEach((line) => {
+     *   Logger.log('Line ' + line.line + ': ' + line.errors.map((error) => error.field + ' ' + error.message).join('; '));
+     * });
+     */
+    static importCsv(text, options = {}) {
+      var {mapping = {}, mode = "insert", key = "id", dryRun = false, batchSize = 500, delimiter = ","} = options;
+      if (mode !== "insert" && mode !== "upsert") {
+        throw new Error("Unknown import mode '" + mode + "', use 'insert' or 'upsert'");
+      }
+
+      var report = { inserted: 0, updated: 0, rejected: 0, ignored: [], lines: [] };
+      var records = this.parseCsv(text, delimiter);
+      if (records.length === 0) return report;
+
+      var columns = this.getColumns();
+      var fields = records.shift().cells.map((header) => {
+        var name = mapping.hasOwnProperty(header) ? mapping[header] : header.trim();
+        var property = name !== null ? this.propertyOf(name) : null;
+        if (property !== null && columns.hasOwnProperty(property)) return property;
+        if (name !== null && header !== "") report.ignored.push(header);
+        return null;
+      });
+      key = this.propertyOf(key);
+      if (mode === "upsert" && !fields.includes(key)) {
+        throw new Error("The CSV has no '" + key + "' column to match the rows of " + this.name);
+      }
+
+      var claimed = new Map();
+      var pending = [];
+      var write = () => {
+        if (pending.length === 0) return;
+        var saved = this.saveAll(pending.map((item) => item.entity));
+        pending.forEach(({entity, entry}) => {
+          var failure = saved.failed.find((failed) => failed.entity === entity);
+          if (failure) {
+            entry.status = "rejected";
+            entry.errors = failure.error instanceof ValidationError ? failure.error.errors
+              : [{ field: null, rule: "error", message: failure.error.message, value: null }];
+          } else if (saved.cancelled.includes(entity)) {
+            entry.status = "rejected";
+            entry.errors = [{ field: null, rule: "cancelled", message: "cancelled by a hook", value: null }];
+          }
+          entry.id = entity.id._value;
+        });
+        pending = [];
+      };
+
+      records.forEach((record) => {
+        if (record.cells.every((cell) => cell === "")) return;
+
+        var values = {};
+        fields.forEach((field, index) => {
+          if (field !== null) values[field] = typeof record.cells[index] === "undefined" ? "" : record.cells[index];
+        });
+        var entity = mode === "upsert" && values[key] !== "" ? this.findOneBy(key, values[key]) : null;
+        var entry = { line: record.line, status: entity === null ? "inserted" : "updated", id: "", errors: [] };
+        if (entity === null) entity = new this();
+        Object.keys(values).forEach((field) => entity[field]._value = this.coerce(entity[field], values[field]));
+        report.lines.push(entry);
+
+        if (dryRun) {
+          entry.errors = entity.validate(claimed);
+          if (entry.errors.length > 0) entry.status = "rejected";
+          entry.id = entity.id._value;
+        } else {
+          pending.push({ entity, entry });
+          if (pending.length >= batchSize) write();
+        }
+      });
+      write();
+
+      report.lines.forEach((entry) => report[entry.status]++);
+      return report;
+    }
+
+    /**
+     * Splits a CSV text into records.
+     * @static
+     * @param {string} text - The CSV text.
+     * @param {string} [delimiter=","] - The cell separator.
+     * @returns {Array<{line: number, cells: Array<string>}>} - The records, with the line of the
+     * text where each one starts.
+     *
+     * @description Quoted cells may contain delimiters, doubled quotes and line breaks.
+     */
+    static parseCsv(text, delimiter = ",") {
+      text = String(text).replace(/^\uFEFF/, "");
+      var records = [];
+      var cells = [];
+      var cell = "";
+      var quoted = false;
+      var line = 1;
+      var start = 1;
+
+      for (var i = 0; i < text.length; i++) {
+        var char = text[i];
+        if (quoted) {
+          if (char === '"' && text[i + 1] === '"') {
+            cell += '"';
+            i++;
+          } else if (char === '"') {
+            quoted = false;
+          } else {
+            if (char === "\n") line++;
+            cell += char;
+          }
+        } else if (char === '"') {
+          quoted = true;
+        } else if (char === delimiter) {
+          cells.push(cell);
+          cell = "";
+        } else if (char === "\n" || char === "\r") {
+          if (char === "\r" && text[i + 1] === "\n") i++;
+          cells.push(cell);
+          records.push({ line: start, cells });
+          cells = [];
+          cell = "";
+          start = ++line;
+        } else {
+          cell += char;
+        }
+      }
+      if (cell !== "" || cells.length > 0) {
+        cells.push(cell);
+        records.push({ line: start, cells });
+      }
+      return records;
+    }
+
+    /**
+     * Joins rows of values into a CSV text.
+     * @static
+     * @param {Array<Array>} rows - The rows to write.
+     * @param {string} [delimiter=","] - The cell separator.
+     * @returns {string} - The CSV text; dates are written in ISO 8601 format.
+     */
+    static toCsv(rows, delimiter = ",") {
+      var escape = (value) => {
+        var text = value instanceof Date ? value.toISOString() : typeof value === "undefined" || value === null ? "" : String(value);
+        return /[",\r\n]/.test(text) || text.includes(delimiter) ? '"' + text.replace(/"/g, '""') + '"' : text;
+      };
+      return rows.map((row) => row.map(escape).join(delimiter)).join("\r\n");
+    }
+
+    /**
+     * Lists the events entities go through and the instance hook called for each one.
+     * @static
+     * @returns {Object} - The hook method names, by event name.
+     *
+     * @description The events are, in order of occurrence:
+     * - "beforeValidate": before the values are checked by `persist()` and `saveAll()`.
+     * - "beforePersist": once the values are valid, right before the row is written.
+     * - "persist": after the row has been written.
+     * - "beforeRemove" and "remove": around `remove()` and `removeAll()`.
+     * - "load": when an entity is read from the sheet (see `fromJson()`).
+     *
+     * Hooks and listeners of the `before*` events can cancel the operation by returning false.
+     */
+    static EVENTS() {
+      return {
+        beforeValidate: "beforeValidate",
+        beforePersist: "beforePersist",
+        persist: "afterPersist",
+        beforeRemove: "beforeRemove",
+        remove: "afterRemove",
+        load: "afterLoad",
+      };
+    }
+
+    /**
+     * Subscribes a listener to an event of the entities of a class.
+     * @static
+     * @param {string} event - The event name, see `GSTable.EVENTS()`.
+     * @param {Function} model - The class to listen to; its subclasses are included, so use
+     * `GSTable` to listen to every class.
+     * @param {Function} handler - Called with the entity and, for the persist events, whether
+     * it is a new entity. Return false from a `before*` listener to cancel the operation.
+     * @returns {Function} - A function that removes the listener.
+     *
+     * @description Listeners let code that is not part of the class react to its changes,
+     * such as notifications or denormalized counters. They are called after the instance
+     * hook of the same event and only for the current execution, so register them in the
+     * code that runs before the writes.
+     *
+     * @throws {Error} If the event is unknown or the model is not a class extended by `GSTable`.
+     *
+     * @example
+     * GSTable.on('persist', OrderLine, (line, isNew) => {
+     *   if (isNew) MailApp.sendEmail('sales@example.com', 'New order line', line.toString());
+     * });
+     */
+    static on(event, model, handler) {
+      if (!GSTable.EVENTS().hasOwnProperty(event)) {
+        throw new Error("Unknown event '" + event + "', use one of: " + Object.keys(GSTable.EVENTS()).join(", "));
+      }
+      if (model !== GSTable && !(model && model.prototype instanceof GSTable)) {
+        throw new Error("GSTable.on() needs GSTable or a class extended by GSTable");
+      }
+      if (!GSTable.hasOwnProperty("eventListeners")) GSTable.eventListeners = [];
+
+      var listener = { event, model, handler };
+      GSTable.eventListeners.push(listener);
+      return () => {
+        GSTable.eventListeners = GSTable.eventListeners.filter((item) => item !== listener);
+      };
+    }
+
+    /**
+     * Calls the instance hook and then the listeners of an event.
+     * @param {string} event - The event name, see `GSTable.EVENTS()`.
+     * @param {...any} args - The arguments passed on to the hook and the listeners.
+     * @returns {boolean} - False if a hook or a listener returned false, true otherwise.
+     *
+     * @description For the `before*` events the first false stops the calls, since the
+     * operation is cancelled anyway.
+     */
+    trigger(event, ...args) {
+      var cancellable = event.startsWith("before");
+      if (this[GSTable.EVENTS()[event]](...args) === false && cancellable) return false;
+
+      var listeners = GSTable.hasOwnProperty("eventListeners") ? GSTable.eventListeners : [];
+      for (var listener of listeners.filter((item) => item.event === event && this instanceof item.model)) {
+        if (listener.handler(this, ...args) === false && cancellable) return false;
+      }
+      return true;
+    }
+
+    /**
+     * Calls the "beforePersist" hook and listeners and takes their changes into the row.
+     * @param {Array} headers - The sheet headers.
+     * @param {Array} updateArray - The row computed by `prepareWrite()`, updated in place.
+     * @param {Object} stamps - The system properties computed by `prepareWrite()`.
+     * @param {boolean} isNew - True if the entity has never been persisted.
+     * @returns {boolean} - False if the write has been cancelled.
+     *
+     * @description Values changed by the hook are written as they are, without validating
+     * them again: fill in values that must be validated in `beforeValidate` instead.
+     */
+    confirmWrite(headers, updateArray, stamps, isNew) {
+      if (this.trigger("beforePersist", isNew) === false) return false;
+
+      var refreshed = this.getUpdateArray(headers);
+      headers.forEach((header, pos) => {
+        if (this.constructor.isColumn(this[header]) && !stamps.hasOwnProperty(header)) updateArray[pos] = refreshed[pos];
+      });
+      return true;
+    }
+
+    /**
+     * Uploads the Blobs assigned to the FILE columns of the entity.
+     * @param {Array} headers - The sheet headers.
+     * @param {Array} updateArray - The row about to be written, updated with the file ids.
+     * @returns {Array<{property: string, value: Object, file: GSTableFile}>} - The uploads, with
+     * the value each column held before, for `discardUploads()`.
+     *
+     * @description Called by `persist()` and `saveAll()` once the entity passed validation and
+     * its `beforePersist` hook. Each Blob is stored in the folder returned by `folderName()`,
+     * created if missing, and replaced by a `GSTableFile` handle. The file previously held by
+     * the column is left in Drive.
+     */
+    uploadFiles(headers, updateArray) {
+      var storage = this.constructor.storage();
+      var uploads = [];
+
+      Object.getOwnPropertyNames(this).forEach((property) => {
+        var propertyInfo = this[property];
+        if (!this.constructor.isColumn(propertyInfo) || propertyInfo._type !== "file" || !GSTableFile.isBlob(propertyInfo._value)) return;
+
+        var folder = storage.folder(this.constructor.folderName(property));
+        var blob = typeof propertyInfo._value.getBytes === "function" ? propertyInfo._value : propertyInfo._value.getBlob();
+        var file = new GSTableFile(storage.createFile(folder, blob), storage);
+        uploads.push({ property, value: propertyInfo._value, file });
+        propertyInfo._value = file;
+        var pos = headers.indexOf(property);
+        if (pos !== -1) updateArray[pos] = file.getId();
+      });
+      return uploads;
+    }
+
+    /**
+     * Undoes the uploads of an entity whose row could not be written.
+     * @param {Array<Object>} uploads - The uploads returned by `uploadFiles()`.
+     *
+     * @description The new files are moved to the Drive trash and the FILE columns get back
+     * the Blobs they held, so that writing the entity again uploads them again.
+     */
+    discardUploads(uploads) {
+      var storage = this.constructor.storage();
+      uploads.forEach((upload) => {
+        storage.trashFile(upload.file.getId());
+        this[upload.property]._value = upload.value;
+      });
+    }
+
+    /**
+     * Moves to the Drive trash the files of the FILE columns with the `trashOnRemove` option.
+     * @static
+     * @param {Array} entities - The entities whose rows have been deleted.
+     */
+    static trashFiles(entities = []) {
+      var columns = this.getColumns();
+      var properties = Object.keys(columns).filter((property) => columns[property]._type === "file" && (columns[property]._options || {}).trashOnRemove);
+      if (properties.length === 0) return;
+
+      var storage = this.storage();
+      entities.forEach((entity) => {
+        properties.forEach((property) => {
+          var file = entity[property]._value;
+          if (file instanceof GSTableFile) storage.trashFile(file.getId());
+        });
+      });
+    }
+
+    /**
+     * Hook called before the values of the entity are validated by `persist()` or `saveAll()`.
+     * @param {boolean} isNew - True if the entity has never been persisted.
+     * @returns {boolean|undefined} - False to cancel the write.
+     *
+     * @description Override it to fill in or normalize values before they are checked.
+     *
+     * @example
+     * class Customer extends GSTable {
+     *   beforeValidate() {
+     *     this.email._value = String(this.email._value).trim().toLowerCase();
+     *   }
+     * }
+     */
+    beforeValidate(isNew) {}
+
+    /**
+     * Hook called once the entity is valid, right before its row is written.
+     * @param {boolean} isNew - True if the entity is about to be inserted.
+     * @returns {boolean|undefined} - False to cancel the write.
+     */
+    beforePersist(isNew) {}
+
+    /**
+     * Hook called after the row of the entity has been written.
+     * @param {boolean} isNew - True if the entity has just been inserted.
+     */
+    afterPersist(isNew) {}
+
+    /**
+     * Hook called before the entity is removed by `remove()` or `removeAll()`.
+     * @returns {boolean|undefined} - False to cancel the removal.
+     *
+     * @example
+     * class Invoice extends GSTable {
+     *   beforeRemove() {
+     *     return this.status._value !== 'paid';
+     *   }
+     * }
+     */
+    beforeRemove() {}
+
+    /**
+     * Hook called after the entity has been removed.
+     */
+    afterRemove() {}
+
+    /**
+     * Hook called when the entity has been read from the sheet.
+     */
+    afterLoad() {}
+
+    /**
+     * Declares whether the changes to the class are recorded in the audit sheet.
+     * @static
+     * @returns {boolean} - True to record every insert, update and removal (default false).
+     *
+     * @description Override this static method to return true and every write made through
+     * `persist`, `remove`, `saveAll` and `removeAll` appends a `GSTableAudit` entry with the
+     * class, the id, the operation, the active user, the time and the changed values. Use
+     * `history()` to read the entries of an entity and `revertTo()` to go back to one of them.
+     *
+     * @example
+     * class Contract extends GSTable {
+     *   static audited() {
+     *     return true;
+     *   }
+     * }
+     */
+    static audited() {
+      return false;
+    }
+
+    /**
+     * Records a set of row changes in the audit sheet.
+     * @static
+     * @param {Array<Object>} changes - The changes, each containing:
+     *   - entity {Object}: The changed entity.
+     *   - before {Array|null}: The row before the change, null for inserts.
+     *   - after {Array|null}: The row after the change, null for removals.
+     *
+     * @description Nothing happens unless the class is `audited()`. Each entry stores the
+     * changed columns as JSON, `{ column: [before, after] }`. The `modified`,
+     * `last_modified_by` and `version` columns are left out since the entry itself records
+     * who changed the row and when. Updates that change nothing are not recorded.
+     */
+    static audit(changes) {
+      if (!this.audited() || changes.length === 0) return;
+
+      var {headers} = this.getTableInfo();
+      var columns = this.getColumns();
+      var ignored = ["modified", "last_modified_by", "version"];
+      var toJson = (value) => value === "" || typeof value === "undefined" ? null : value instanceof Date ? value.toISOString() : value;
+      var now = new Date();
+      var user = this.activeUserEmail();
+
+      var entries = [];
+      changes.forEach(({entity, before, after}) => {
+        var diff = {};
+        headers.forEach((header, index) => {
+          if (!columns[header] || ignored.includes(header)) return;
+          var previous = before ? this.coerce(columns[header], before[index]) : "";
+          var next = after ? this.coerce(columns[header], after[index]) : "";
+          if (GSTableQuery.normalize(previous, columns[header]._type) !== GSTableQuery.normalize(next, columns[header]._type)) {
+            diff[header] = [toJson(previous), toJson(next)];
+          }
+        });
+
+        var operation = before === null ? "insert" : after === null ? "remove" : "update";
+        if (operation === "update" && diff.hasOwnProperty("deleted_at")) {
+          operation = diff.deleted_at[1] === null ? "restore" : "remove";
+        }
+        if (operation === "update" && Object.keys(diff).length === 0) return;
+
+        entries.push(new GSTableAudit(this.name, String(entity.id._value), operation, user !== null ? user : "", now, JSON.stringify(diff)));
+      });
+      if (entries.length > 0) GSTableAudit.saveAll(entries);
+    }
+
+    /**
+     * Returns the audit entries of the entity, oldest first.
+     * @returns {Array<GSTableAudit>} - The recorded changes of the entity.
+     *
+     * @example
+     * customer.history().forEach((entry) => {
+     *   Logger.log(entry.operation._value + ' by ' + entry.user._value + ': ' + entry.changes._value);
+     * });
+     */
+    history() {
+      return this.constructor.auditEntries(this.id._value);
+    }
+
+    /**
+     * Returns the audit entries of an entity of the class, oldest first.
+     * @static
+     * @param {string|number} id - The id of the entity.
+     * @returns {Array<GSTableAudit>} - The recorded changes of the entity.
+     */
+    static auditEntries(id) {
+      return GSTableAudit.query()
+        .where("entity", this.name)
+        .where("entity_id", String(id))
+        .orderBy("timestamp")
+        .orderBy("row_number")
+        .get();
+    }
+
+    /**
+     * Brings an entity back to its state right after an audit entry.
+     * @static
+     * @param {string|number} id - The id of the entity.
+     * @param {string} auditEntryId - The id of the `GSTableAudit` entry to go back to.
+     * @returns {Object|null} - The reverted entity, or null if the entity did not exist at that point.
+     *
+     * @description The changes recorded after the given entry are undone from the newest to
+     * the oldest and the result is persisted, which records a new audit entry in turn. A
+     * removed entity is inserted again with its old `id`, `created` and `created_by`.
+     *
+     * @throws {Error} If the entry does not belong to the entity.
+     *
+     * @example
+     * const entries = Contract.findById('ABC123').history();
+     * Contract.revertTo('ABC123', entries[0].id._value); // back to the state after creation
+     */
+    static revertTo(id, auditEntryId) {
+      var entries = this.auditEntries(id);
+      var position = entries.findIndex((entry) => String(entry.id._value) === String(auditEntryId));
+      if (position === -1) {
+        throw new Error("Audit entry '" + auditEntryId + "' does not belong to " + this.name + " '" + id + "'");
+      }
+
+      var entity = this.findById(id, { trashed: "with" });
+      if (entries[position].operation._value === "remove") {
+        if (entity !== null) entity.forceRemove();
+        return null;
+      }
+
+      var state = {};
+      if (entity !== null) {
+        Object.keys(this.getColumns()).forEach((column) => state[column] = entity[column]._value);
+      }
+      entries.slice(position + 1).reverse().forEach((entry) => {
+        var diff = entry.getChanges();
+        Object.keys(diff).forEach((column) => state[column] = diff[column][0]);
+      });
+
+      if (entity === null) {
+        entity = new this();
+        entity.row_number = 0;
+        entity.keepCreated = true;
+      }
+      Object.keys(state).forEach((column) => {
+        if (this.isColumn(entity[column])) entity[column]._value = this.coerce(entity[column], state[column] === null ? "" : state[column]);
+      });
+      entity.persist();
+      return entity;
+    }
+
+    /**
+     * Declares whether the class uses optimistic locking.
+     * @static
+     * @returns {boolean} - True to add a `version` column to the table (default false).
+     *
+     * @description Override this static method to return true and every write increments the
+     * `version` of the row. Updating an entity whose `version` is lower than the one in the
+     * sheet, because someone else saved the row after it was read, throws a `ConcurrencyError`
+     * instead of silently overwriting the other change.
+     *
+     * @example
+     * class Stock extends GSTable {
+     *   static versioned() {
+     *     return true;
+     *   }
+     * }
+     */
+    static versioned() {
+      return false;
+    }
+
+    /**
+     * Maximum time to wait for the script lock before a write fails.
+     * @static
+     * @returns {number} - The timeout in milliseconds (default 30 seconds).
+     */
+    static lockTimeout() {
+      return 30000;
+    }
+
+    /**
+     * Runs a function while holding the script lock.
+     * @static
+     * @param {Function} callback - The function to run.
+     * @returns {any} - The value returned by `callback`.
+     *
+     * @description `persist`, `remove`, `saveAll` and `removeAll` run through this method so
+     * that two executions cannot append or delete rows at the same time. The lock is
+     * reentrant within an execution: nested calls run immediately. Pending changes are
+     * flushed before the lock is released. Other executions may have written while this one
+     * was waiting, so the cached rows of the class are checked once per lock, see `checkCache()`.
+     *
+     * @throws {Error} If the lock cannot be acquired within `lockTimeout()` milliseconds.
+     *
+     * @example
+     * Item.withLock(() => {
+     *   const item = Item.findById('ABC123');
+     *   item.quantity._value -= 1;
+     *   item.persist();
+     * });
+     */
+    static withLock(callback) {
+      if (GSTable.lockDepth > 0) {
+        this.checkCache();
+        GSTable.lockDepth++;
+        try {
+          return callback();
+        } finally {
+          GSTable.lockDepth--;
+        }
+      }
+
+      var storage = this.storage();
+      var release = storage.lock(this.lockTimeout());
+      GSTable.lockDepth = 1;
+      GSTable.lockChecked = new Set();
+      this.checkCache();
+      try {
+        return callback();
+      } finally {
+        GSTable.lockDepth = 0;
+        storage.flush();
+        release();
+      }
+    }
+
+    /**
+     * Drops the cached rows and indexes of the class if the sheet no longer has as many rows.
+     * @static
+     *
+     * @description Called by `withLock()` the first time the class writes under a lock.
+     * Counting the rows costs much less than reading them again and catches the rows appended
+     * or deleted by other executions, which `generateKey()` and the unique checks must see.
+     * Rows changed in place are caught by `locateRows()` for the entities being written.
+     */
+    static checkCache() {
+      if (GSTable.lockChecked.has(this)) return;
+      GSTable.lockChecked.add(this);
+      var cache = this.cache();
+      if (cache.values === null) return;
+      var {sheet} = this.getTableInfo();
+      if (this.storage().lastRow(sheet) !== cache.values.length) {
+        cache.values = null;
+        cache.indexes = {};
+      }
+    }
+
+    /**
+     * Makes sure the row numbers of a set of entities still point to their rows.
+     * @static
+     * @param {Array} entities - Entities of the class with a row number.
+     * @param {boolean} [checkVersion=false] - Also compares the `version` of versioned classes.
+     * @returns {Array<{entity: Object, error: ConcurrencyError}>} - The entities whose row has been
+     * deleted or, when `checkVersion` is true, updated by someone else.
+     *
+     * @description The `id` column is read again from the sheet, not from the cache. Entities
+     * whose row moved because rows were inserted or deleted above it get their `row_number`
+     * fixed. When a row moved or disappeared the cached snapshot is dropped, since it no
+     * longer matches the sheet.
+     */
+    static locateRows(entities, checkVersion = false) {
+      var failures = [];
+      if (entities.length === 0) return failures;
+
+      var storage = this.storage();
+      var {sheet, headers} = this.getTableInfo();
+      var idColumn = headers.indexOf("id") + 1;
+      var rowsCount = storage.lastRow(sheet) - 1;
+      var keyOf = (value) => GSTableQuery.normalize(value, "str");
+      var ids = [];
+
+      if (entities.length === 1 && entities[0].row_number >= 2 && entities[0].row_number <= rowsCount + 1) {
+        // Cheap path for single writes: the row has most likely not moved.
+        var id = storage.readRange(sheet, entities[0].row_number, idColumn, 1, 1)[0][0];
+        if (keyOf(id) === keyOf(entities[0].id._value)) ids = null;
+      }
+      if (ids !== null) {
+        ids = rowsCount > 0 ? storage.readRange(sheet, 2, idColumn, rowsCount, 1).map((row) => keyOf(row[0])) : [];
+      }
+
+      var moved = false;
+      entities.forEach((entity) => {
+        if (ids === null || ids[entity.row_number - 2] === keyOf(entity.id._value)) return;
+        var index = ids.indexOf(keyOf(entity.id._value));
+        if (index === -1) {
+          failures.push({ entity, error: new ConcurrencyError(this.name + " '" + entity.id._value + "' has been removed meanwhile", entity) });
+        } else {
+          entity.row_number = index + 2;
+        }
+        moved = true;
+      });
+      if (moved) {
+        this.cache().values = null;
+        this.cache().indexes = {};
+      }
+
+      if (checkVersion && this.versioned()) {
+        var versionColumn = headers.indexOf("version") + 1;
+        var versions = entities.length > 1 && rowsCount > 0
+          ? storage.readRange(sheet, 2, versionColumn, rowsCount, 1).map((row) => row[0])
+          : null;
+        entities.forEach((entity) => {
+          if (failures.some((failure) => failure.entity === entity)) return;
+          var stored = versions !== null
+            ? versions[entity.row_number - 2]
+            : storage.readRange(sheet, entity.row_number, versionColumn, 1, 1)[0][0];
+          stored = Number(stored) || 0;
+          var current = Number(entity.version._value) || 0;
+          if (stored !== current) {
+            failures.push({ entity, error: new ConcurrencyError(this.name + " '" + entity.id._value + "' has been modified meanwhile (version " + stored + ", expected " + current + ")", entity) });
+          }
+        });
+      }
+      return failures;
+    }
+
+    /**
+     * Registers classes extended by `GSTable` so that their foreign keys are known.
+     * @static
+     * @param {...Function} models - The classes to register.
+     * @returns {Function} - `GSTable`, for chaining.
+     *
+     * @description `remove()` looks for references to the removed entity in the registered
+     * classes only. Classes are registered automatically when their table is first used and
+     * when they take part in a relation, but a class that is not used in the execution has
+     * to be registered explicitly for its `onDelete` rules to be applied.
+     *
+     * @example
+     * GSTable.register(Customer, Order, OrderLine);
+     */
+    static register(...models) {
+      if (!GSTable.hasOwnProperty("modelRegistry")) GSTable.modelRegistry = new Set();
+      models.forEach((model) => {
+        if (model !== GSTable && model.prototype instanceof GSTable) GSTable.modelRegistry.add(model);
+      });
+      return GSTable;
+    }
+
+    /**
+     * Lists the registered classes, see `register()`.
+     * @static
+     * @returns {Array<Function>} - The registered classes.
+     */
+    static registeredModels() {
+      return GSTable.hasOwnProperty("modelRegistry") ? [...GSTable.modelRegistry] : [];
+    }
+
+    /**
+     * Computes what removing a set of entities implies, without writing anything.
+     * @static
+     * @param {Array} entities - Entities of the class about to be removed.
+     * @returns {Object} - An object containing:
+     *   - requested {Array}: The given `entities`.
+     *   - removals {Map<Function, Array>}: The entities to delete, per class, including `entities`.
+     *   - nullify {Map<Function, Array<{entity: Object, fields: Array<string>}>>}: The entities
+     *     whose foreign keys have to be emptied, per class.
+     *
+     * @description The registered classes are searched for FOREIGNKEY columns pointing to the
+     * removed entities. What happens to the referencing rows depends on the `onDelete` option
+     * of the column: "cascade" removes them too (applying their own rules in turn),
+     * "setNull" empties the foreign key and "restrict" forbids the removal. Columns without
+     * `onDelete` are ignored.
+     *
+     * @throws {IntegrityError} If a "restrict" foreign key references an entity that would not
+     * be removed as well, or a "setNull" foreign key is required.
+     */
+    static planDelete(entities) {
+      var removals = new Map();
+      var nullify = new Map();
+      var restricted = [];
+      var keyOf = (entity) => String(entity.id._value);
+      var isRemoved = (model, entity) => removals.has(model) && removals.get(model).has(keyOf(entity));
+      var queue = [];
+      // Classes whose sheet was never created hold no references; looking them up would create it.
+      var sheets = new Map();
+      var hasSheet = (model) => {
+        if (!sheets.has(model)) sheets.set(model, model.storage().getSheet(model.tableName(), model.spreadsheetId()) !== null);
+        return sheets.get(model);
+      };
+      var schedule = (model, entity) => {
+        if (!removals.has(model)) removals.set(model, new Map());
+        removals.get(model).set(keyOf(entity), entity);
+        queue.push({ model, entity });
+      };
+
+      entities.forEach((entity) => schedule(this, entity));
+      while (queue.length > 0) {
+        var {model, entity} = queue.shift();
+
+        this.registeredModels().forEach((referencing) => {
+          var columns = referencing.getColumns();
+          Object.keys(columns).forEach((field) => {
+            var column = columns[field];
+            var rule = (column._options || {}).onDelete;
+            if (column._type !== "fk" || column._class !== model || !rule || !hasSheet(referencing)) return;
+
+            referencing.findAllBy(field, entity.id._value, { trashed: "with" }).forEach((reference) => {
+              if (isRemoved(referencing, reference)) return;
+
+              if (rule === "cascade") {
+                schedule(referencing, reference);
+              } else if (rule === "restrict") {
+                restricted.push({ model: referencing, entity: reference, field, target: entity });
+              } else if (rule === "setNull") {
+                if (column._required) {
+                  throw new IntegrityError(referencing.name + "." + field + " cannot be set to null because it is required", []);
+                }
+                if (!nullify.has(referencing)) nullify.set(referencing, new Map());
+                var pending = nullify.get(referencing);
+                if (!pending.has(keyOf(reference))) pending.set(keyOf(reference), { entity: reference, fields: [] });
+                pending.get(keyOf(reference)).fields.push(field);
+              } else {
+                throw new Error("Unknown onDelete rule '" + rule + "' on " + referencing.name + "." + field);
+              }
+            });
+          });
+        });
+      }
+
+      restricted = restricted.filter((reference) => !isRemoved(reference.model, reference.entity));
+      if (restricted.length > 0) {
+        throw new IntegrityError("Cannot remove " + this.name + " '" + restricted[0].target.id._value + "': referenced by " +
+          restricted.map((reference) => reference.model.name + " '" + reference.entity.id._value + "'").join(", "), restricted);
+      }
+
+      var result = { requested: entities, removals: new Map(), nullify: new Map() };
+      removals.forEach((found, model) => result.removals.set(model, [...found.values()]));
+      nullify.forEach((found, model) => {
+        var kept = [...found.values()].filter((pending) => !isRemoved(model, pending.entity));
+        if (kept.length > 0) result.nullify.set(model, kept);
+      });
+      return result;
+    }
+
+    /**
+     * Applies a plan computed by `planDelete()` to every class but this one.
+     * @static
+     * @param {Object} plan - The plan to apply.
+     * @returns {Array} - The entities of this class to delete, left to the caller.
+     *
+     * @description The `beforeRemove` hook of every entity removed by a cascade, of any class,
+     * is called before anything is written; the `afterRemove` hook and the "remove" listeners
+     * of the entities of the other classes are called once their rows are deleted. Those of
+     * the entities of this class are left to the caller, which deletes them.
+     *
+     * @throws {IntegrityError} If the `beforeRemove` hook of an entity removed by a cascade
+     * returns false.
+     * @throws {Error} If a referencing entity cannot be saved with its foreign key emptied.
+     */
+    static applyDeletePlan(plan) {
+      var cascaded = [];
+      plan.removals.forEach((entities) => {
+        entities.forEach((entity) => {
+          if (!plan.requested.includes(entity)) cascaded.push(entity);
+        });
+      });
+      var refused = cascaded.filter((entity) => entity.trigger("beforeRemove") === false);
+      if (refused.length > 0) {
+        throw new IntegrityError("Cannot remove " + this.name + ": the removal of " +
+          refused.map((entity) => entity.constructor.name + " '" + entity.id._value + "'").join(", ") + " has been cancelled",
+          refused.map((entity) => ({ model: entity.constructor, entity })));
+      }
+
+      plan.nullify.forEach((pending, model) => {
+        pending.forEach(({entity, fields}) => fields.forEach((field) => entity[field]._value = ""));
+        var report = model.saveAll(pending.map(({entity}) => entity));
+        if (report.failed.length > 0) throw report.failed[0].error;
+      });
+      var removed = [];
+      plan.removals.forEach((entities, model) => {
+        if (model !== this) removed = removed.concat(model.deleteEntities(entities).removed);
+      });
+      removed.forEach((entity) => entity.trigger("remove"));
+      return plan.removals.get(this) || [];
+    }
+
+    /**
+     * Splits a sorted list of row numbers into blocks of consecutive rows.
+     * @static
+     * @param {Array<number>} rowNumbers - Row numbers sorted in ascending order.
+     * @returns {Array<Array<number>>} - The blocks of consecutive row numbers.
+     *
+     * @example
+     * GSTable.contiguousBlocks([2, 3, 4, 8, 10, 11]); // [[2, 3, 4], [8], [10, 11]]
+     */
+    static contiguousBlocks(rowNumbers = []) {
+      var blocks = [];
+      rowNumbers.forEach((row_number) => {
+        var last = blocks[blocks.length - 1];
+        if(last && last[last.length - 1] === row_number - 1) {
+          last.push(row_number);
+        } else {
+          blocks.push([row_number]);
+        }
+      });
+      return blocks;
+    }
+  
+    /**
+     * Expands properties with foreign key references in the entity.
+     *
+     * @description This method is used to expand properties within the entity associated with
+     * the extended class by`GSTable` that have foreign key references. It loads and associates 
+     * related entities based on the foreign key values, enhancing the entity's data with 
+     * detailed information from related entities.
+     *
+     * @example
+     * const entity = MyTable.findById('ABC123');
+     * entity.expand();
+     */
+    expand() {
+      var properties = Object.getOwnPropertyNames(this);
+  
+      properties.forEach((prop) => {
+        var propertyInfo = this[prop];
+        if(this.constructor.isColumn(propertyInfo) && propertyInfo.hasOwnProperty("_class")) {
+          this[prop + "_"] = propertyInfo._class.findById(propertyInfo._value);
+        }
+      })
+    }
+  
+    /**
+     * Declares a one-to-many relation towards a class holding a foreign key to this one.
+     * @static
+     * @param {Function} target - The class extended by `GSTable` holding the foreign key.
+     * @param {string} foreignKey - The FOREIGNKEY property of `target` pointing to this class.
+     * @param {string} [name] - The name of the relation, by default the name of `target` in
+     * camel case followed by "s".
+     * @returns {Function} - The class itself, for chaining.
+     *
+     * @example
+     * class OrderLine extends GSTable {
+     *   constructor(order, product, quantity) {
+     *     super();
+     *     this.order = GSTable.COLUMN().FOREIGNKEY(order, Order);
+     *     ...
+     *   }
+     * }
+     * Order.hasMany(OrderLine, 'order', 'lines');
+     * const lines = Order.findById('ABC123').getRelated('lines');
+     */
+    static hasMany(target, foreignKey, name = GSTable.relationName(target) + "s") {
+      return this.defineRelation({ type: "hasMany", name, target, foreignKey });
+    }
+
+    /**
+     * Declares a many-to-many relation stored in a join sheet.
+     * @static
+     * @param {Function} target - The other class extended by `GSTable`.
+     * @param {string} [name] - The name of the relation, by default the name of `target` in
+     * camel case followed by "s".
+     * @param {Object} [options={}] - The relation options:
+     *   - through {string}: The name of the join sheet, by default the names of the two
+     *     classes in alphabetical order joined by "_".
+     * @returns {Function} - The class itself, for chaining.
+     *
+     * @description The join sheet is handled by a class generated on the fly, with one
+     * FOREIGNKEY column per side named after the two classes in camel case; links are
+     * removed together with the entities they point to. Declare the
+     * relation on both classes to navigate it in both directions; they share the same join
+     * sheet. Use `attach()` and `detach()` to link and unlink entities.
+     *
+     * @example
+     * Product.belongsToMany(Tag, 'tags');
+     * Tag.belongsToMany(Product, 'products');
+     * product.attach('tags', tag);
+     * tag.getRelated('products'); // [product]
+     */
+    static belongsToMany(target, name = GSTable.relationName(target) + "s", options = {}) {
+      var join = GSTable.joinModel(this, target, options.through);
+      return this.defineRelation({
+        type: "belongsToMany",
+        name,
+        target,
+        join: join.model,
+        sourceKey: join.sourceKey,
+        targetKey: join.targetKey,
+      });
+    }
+
+    /**
+     * Stores a relation declared by `hasMany` or `belongsToMany`.
+     * @static
+     * @param {Object} relation - The relation definition.
+     * @returns {Function} - The class itself, for chaining.
+     */
+    static defineRelation(relation) {
+      if (!GSTable.hasOwnProperty("relationRegistry")) GSTable.relationRegistry = new Map();
+      if (!GSTable.relationRegistry.has(this)) GSTable.relationRegistry.set(this, {});
+      GSTable.relationRegistry.get(this)[relation.name] = relation;
+      GSTable.register(this, relation.target);
+      if (relation.join) GSTable.register(relation.join);
+      return this;
+    }
+
+    /**
+     * Lists the relations of the class.
+     * @static
+     * @returns {Object} - The relations keyed by name. Every FOREIGNKEY property is a
+     * "belongsTo" relation named after the property; relations declared with `hasMany` and
+     * `belongsToMany` are added to them.
+     */
+    static relations() {
+      var relations = {};
+      var columns = this.getColumns();
+      Object.keys(columns).forEach((property) => {
+        if (columns[property]._type === "fk" && columns[property]._class) {
+          relations[property] = { type: "belongsTo", name: property, target: columns[property]._class, foreignKey: property };
+        }
+      });
+
+      var declared = GSTable.hasOwnProperty("relationRegistry") ? GSTable.relationRegistry.get(this) : null;
+      return Object.assign(relations, declared || {});
+    }
+
+    /**
+     * Returns the default name used for a class in relations: its name in camel case.
+     * @static
+     * @param {Function} model - The class extended by `GSTable`.
+     * @returns {string} - The name of the class with a lowercase first letter.
+     */
+    static relationName(model) {
+      return model.name.charAt(0).toLowerCase() + model.name.slice(1);
+    }
+
+    /**
+     * Returns the class handling the join sheet of a many-to-many relation, creating it once.
+     * @static
+     * @param {Function} left - The side declaring the relation.
+     * @param {Function} right - The other side of the relation.
+     * @param {string} [through] - The name of the join sheet.
+     * @returns {Object} - An object containing:
+     *   - model {Function}: The generated class extended by `GSTable`.
+     *   - sourceKey {string}: The FOREIGNKEY property pointing to `left`.
+     *   - targetKey {string}: The FOREIGNKEY property pointing to `right`.
+     *
+     * @description When a class is related to itself the join sheet has the columns
+     * `<name>_a` (the source) and `<name>_b` (the target).
+     */
+    static joinModel(left, right, through) {
+      var sides = [left, right].sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+      var name = through || sides.map((side) => side.name).join("_");
+
+      if (!GSTable.hasOwnProperty("joinRegistry")) GSTable.joinRegistry = new Map();
+      if (!GSTable.joinRegistry.has(name)) {
+        var keyNames = sides[0] === sides[1]
+          ? [GSTable.relationName(sides[0]) + "_a", GSTable.relationName(sides[1]) + "_b"]
+          : sides.map((side) => GSTable.relationName(side));
+
+        var model = {
+          [name]: class extends GSTable {
+            constructor(first, second) {
+              super();
+              this[keyNames[0]] = GSTable.COLUMN().FOREIGNKEY(first, sides[0], true, { unique: "pair", onDelete: "cascade" });
+              this[keyNames[1]] = GSTable.COLUMN().FOREIGNKEY(second, sides[1], true, { unique: "pair", onDelete: "cascade" });
+            }
+
+            static spreadsheetId() {
+              // The join sheet lives next to the table of the first side.
+              return sides[0].spreadsheetId();
+            }
+          }
+        }[name];
+        GSTable.joinRegistry.set(name, { model, sides, keyNames });
+      }
+      var join = GSTable.joinRegistry.get(name);
+      // For a self-join both lookups find the same class: the source is the first key, the target the second.
+      return {
+        model: join.model,
+        sourceKey: join.keyNames[join.sides.indexOf(left)],
+        targetKey: join.keyNames[join.sides.lastIndexOf(right)],
+      };
+    }
+
+    /**
+     * Loads a relation for a list of entities, reading each related sheet only once.
+     * @static
+     * @param {Array} entities - Entities of the class.
+     * @param {Array<string>} names - The names of the relations to load.
+     * @returns {Array} - The same entities, with every relation attached as `<relation>_`.
+     *
+     * @example
+     * const orders = Order.eagerLoad(Order.findAll(), ['lines', 'customer']);
+     */
+    static eagerLoad(entities, names) {
+      var relations = this.relations();
+      var keyOf = (value) => GSTableQuery.normalize(value, "str");
+      var groupBy = (items, key) => {
+        var groups = new Map();
+        items.forEach((item) => {
+          var value = keyOf(key(item));
+          if (value === null) return;
+          if (!groups.has(value)) groups.set(value, []);
+          groups.get(value).push(item);
+        });
+        return groups;
+      };
+
+      names.forEach((name) => {
+        var relation = relations[name];
+        if (!relation) throw new Error("Unknown relation '" + name + "' on " + this.name);
+
+        if (relation.type === "belongsTo") {
+          var parents = groupBy(relation.target.findAll(), (parent) => parent.id._value);
+          entities.forEach((entity) => {
+            var found = parents.get(keyOf(entity[relation.foreignKey]._value));
+            entity[name + "_"] = found ? found[0] : null;
+          });
+        } else if (relation.type === "hasMany") {
+          var children = groupBy(relation.target.findAll(), (child) => child[relation.foreignKey]._value);
+          entities.forEach((entity) => entity[name + "_"] = children.get(keyOf(entity.id._value)) || []);
+        } else if (relation.type === "belongsToMany") {
+          var targets = groupBy(relation.target.findAll(), (target) => target.id._value);
+          var links = groupBy(relation.join.findAll(), (link) => link[relation.sourceKey]._value);
+          entities.forEach((entity) => {
+            entity[name + "_"] = (links.get(keyOf(entity.id._value)) || [])
+              .map((link) => targets.get(keyOf(link[relation.targetKey]._value)))
+              .filter((found) => found)
+              .map((found) => found[0]);
+          });
+        }
+      });
+      return entities;
+    }
+
+    /**
+     * Returns the entities related to this one through a relation.
+     * @param {string} name - The name of the relation, see `GSTable.relations()`.
+     * @param {boolean} [reload=false] - Reads the relation again even if already loaded.
+     * @returns {Object|Array|null} - The related entity for "belongsTo" relations (null if
+     * not found), an array of entities for the others.
+     *
+     * @description The result is attached to the entity as `<relation>_`, so calling the
+     * method again (or loading the relation with `query().with()`) does not read it twice.
+     *
+     * @example
+     * const order = Order.findById('ABC123');
+     * order.getRelated('lines').forEach((line) => line.print());
+     * order.getRelated('customer').print();
+     */
+    getRelated(name, reload = false) {
+      if (!reload && this.hasOwnProperty(name + "_")) return this[name + "_"];
+      this.constructor.eagerLoad([this], [name]);
+      return this[name + "_"];
+    }
+
+    /**
+     * Links this entity to another one through a many-to-many relation.
+     * @param {string} name - The name of the "belongsToMany" relation.
+     * @param {Object|string} target - The entity to link, or its id.
+     *
+     * @example
+     * product.attach('tags', tag);
+     */
+    attach(name, target) {
+      var relation = this.manyToMany(name);
+      var targetId = target instanceof GSTable ? target.id._value : target;
+      var link = new relation.join();
+      link[relation.sourceKey]._value = this.id._value;
+      link[relation.targetKey]._value = targetId;
+
+      if (relation.join.findOneBy([relation.sourceKey, relation.targetKey], [this.id._value, targetId]) === null) {
+        link.persist();
+      }
+      delete this[name + "_"];
+    }
+
+    /**
+     * Removes the link between this entity and another one in a many-to-many relation.
+     * @param {string} name - The name of the "belongsToMany" relation.
+     * @param {Object|string} target - The linked entity, or its id.
+     *
+     * @example
+     * product.detach('tags', tag);
+     */
+    detach(name, target) {
+      var relation = this.manyToMany(name);
+      var targetId = target instanceof GSTable ? target.id._value : target;
+      var link = relation.join.findOneBy([relation.sourceKey, relation.targetKey], [this.id._value, targetId]);
+
+      if (link !== null) link.remove();
+      delete this[name + "_"];
+    }
+
+    /**
+     * Looks up a "belongsToMany" relation of the class.
+     * @param {string} name - The name of the relation.
+     * @returns {Object} - The relation definition.
+     * @throws {Error} If the relation does not exist or is of another type.
+     */
+    manyToMany(name) {
+      var relation = this.constructor.relations()[name];
+      if (!relation || relation.type !== "belongsToMany") {
+        throw new Error("'" + name + "' is not a many-to-many relation of " + this.constructor.name);
+      }
+      return relation;
+    }
+
+    /**
+     * Converts the entity into a simplified JavaScript object.
+     * @returns {Object} - A simplified JavaScript object representing the entity.
+     *
+     * @description This method is used to convert the entity associated with the class 
+     * extended by `GSTable` into a simplified JavaScript object. The resulting object 
+     * includes property-value pairs from the entity, making it suitable for serialization 
+     * and stringification or easier inspection of entity data.
+     *
+     * @returns {Object} - A simplified JavaScript object representing the entity.
+     *
+     * @example
+     * const entity = MyTable.findById('ABC123');
+     * const simpleObject = entity.toSimpleObject();
+     * console.log('Simplified entity:', simpleObject);
+     */
+    toSimpleOjbect(extendWith = null) {
+      var plainObj = {};
+      var toStringify = this;
+      var properties = Object.getOwnPropertyNames(this);
+  
+      properties.forEach((property) => {
+        var propertyInfo = toStringify[property];
+        if(this.constructor.isColumn(propertyInfo)) {
+          if(this.projection && !this.projection.includes(property)) return;
+          plainObj[property] = this.constructor.coerce(propertyInfo, propertyInfo._value);
+        } else if(propertyInfo instanceof GSTable) {
+          plainObj[property] = propertyInfo.toSimpleOjbect();
+        } else if(Array.isArray(propertyInfo) && propertyInfo.length > 0 && propertyInfo.every((item) => item instanceof GSTable)) {
+          plainObj[property] = propertyInfo.map((item) => item.toSimpleOjbect());
+        }
+      })
+      return this.objectExtension(plainObj, extendWith);
+    }
+  
+    /**
+     * Extends the simpleObject with custom properties overwritten in the extended class.
+     * @param {Object} simpleObject - The object to extend.
+     * @param {any} extendWith - An object or an array to use to extend.
+     * @returns {Object} - A simplified JavaScript object representing the entity with other properties.
+     *
+     * @description This method is used to add properties to the simpleObject. Override it on the class 
+     * extended by `GSTable` and add your preferred properties. The resulting object 
+     * includes property-value pairs from the entity, making it suitable for serialization 
+     * and stringification or easier inspection of entity data.
+     *
+     * @returns {Object} - A simplified JavaScript object representing the entity.
+     *
+     * @example
+     * const entity = MyTable.findById('ABC123');
+     * const simpleObject = entity.toSimpleObject();
+     * console.log('Simplified entity:', simpleObject);
+     */
+    objectExtension(simpleObject, extendWith = null) {
+      return simpleObject;
+    }
+  
+    /**
+     * Converts the entity into a JSON string representation.
+     * @returns {string} - A JSON string representing the entity's data.
+     *
+     * @description This method is used to convert the entity associated with the class 
+     * extended by `GSTable` into a JSON string representation. The resulting JSON string 
+     * includes property-value pairs from the entity, suitable for serialization or display.
+     *
+     * @returns {string} - A JSON string representing the entity's data.
+     *
+     * @example
+     * const entity = MyTable.findById('ABC123');
+     * const jsonString = entity.toString();
+     * console.log('Entity as JSON:', jsonString);
+     */
+    toString() {
+      return JSON.stringify(this.toSimpleOjbect(), null, 2);
+    }
+  
+    /**
+     * Logs the JSON representation of the entity to the console.
+     *
+     * @description This method is used to log the JSON representation of the entity associated
+     * with the class extended by `GSTable` to the console. It provides a convenient way to 
+     * inspect the entity's data in a human-readable format.
+     *
+     * @example
+     * const entity = MyTable.findById('ABC123');
+     * entity.print();
+     */
+    print() {
+      this.constructor.storage().log(this.toString());
+    }
+}
+
+/**
+ * Chainable query over the entities of a class extended by `GSTable`.
+ * @example
+ * // Items with more than 5 pieces or whose name starts with "A", newest first:
+ * const items = Item.query()
+ *   .where('quantity', '>', 5)
+ *   .orWhere('name', 'startsWith', 'A')
+ *   .orderBy('created', 'desc')
+ *   .get();
+ */
+class GSTableQuery {
+    /**
+     * Constructor for GSTableQuery class.
+     * @constructor
+     * @param {Function} model - The class extended by `GSTable` to query.
+     */
+    constructor(model) {
+      this.model = model;
+      this.clauses = [];
+      this.sorts = [];
+      this.limitCount = null;
+      this.offsetCount = 0;
+      this.eager = [];
+      this.trashed = "without";
+    }
+
+    /**
+     * List of the operators accepted by `where` and `orWhere`.
+     * @static
+     * @returns {Array<string>} - The supported operators.
+     */
+    static OPERATORS() {
+      return [
+        "=", "==", "!=", "<>", ">", ">=", "<", "<=",
+        "in", "not in", "between", "contains", "startsWith", "endsWith",
+        "null", "not null"
+      ];
+    }
+
+    /**
+     * Adds a condition joined with AND to the previous ones.
+     * @param {string|Function} field - The property to check, or a callback receiving a nested query.
+     * @param {string} [operator="="] - One of the operators returned by `GSTableQuery.OPERATORS()`.
+     * @param {any} [value] - The value to compare with.
+     * @returns {GSTableQuery} - The query itself, for chaining.
+     *
+     * @description When called with two arguments the operator defaults to "=". When called with
+     * a function, the function receives a new query on the same class and the conditions it adds
+     * are evaluated as a single parenthesized group.
+     *
+     * @example
+     * Item.query().where('quantity', 10);
+     * Item.query().where('quantity', 'between', [5, 10]);
+     * Item.query().where('name', 'startsWith', 'A').where((q) => q.where('quantity', 0).orWhere('quantity', 'null'));
+     */
+    where(field, operator, value) {
+      return this.addClause("and", arguments);
+    }
+
+    /**
+     * Adds a condition joined with OR to the previous ones.
+     * @param {string|Function} field - The property to check, or a callback receiving a nested query.
+     * @param {string} [operator="="] - One of the operators returned by `GSTableQuery.OPERATORS()`.
+     * @param {any} [value] - The value to compare with.
+     * @returns {GSTableQuery} - The query itself, for chaining.
+     *
+     * @description AND binds tighter than OR, so `a.where(x).where(y).orWhere(z)` reads as
+     * `(x AND y) OR z`. Use a callback with `where` to build other groupings.
+     */
+    orWhere(field, operator, value) {
+      return this.addClause("or", arguments);
+    }
+
+    /**
+     * Shortcut for `where(field, 'in', values)`.
+     * @param {string} field - The property to check.
+     * @param {Array} values - The accepted values.
+     * @returns {GSTableQuery} - The query itself, for chaining.
+     */
+    whereIn(field, values) {
+      return this.where(field, "in", values);
+    }
+
+    /**
+     * Shortcut for `where(field, 'between', [from, to])`, bounds included.
+     * @param {string} field - The property to check.
+     * @param {any} from - The lower bound.
+     * @param {any} to - The upper bound.
+     * @returns {GSTableQuery} - The query itself, for chaining.
+     */
+    whereBetween(field, from, to) {
+      return this.where(field, "between", [from, to]);
+    }
+
+    /**
+     * Shortcut for `where(field, 'null')`: matches undefined, null and empty cells.
+     * @param {string} field - The property to check.
+     * @returns {GSTableQuery} - The query itself, for chaining.
+     */
+    whereNull(field) {
+      return this.where(field, "null");
+    }
+
+    /**
+     * Shortcut for `where(field, 'not null')`.
+     * @param {string} field - The property to check.
+     * @returns {GSTableQuery} - The query itself, for chaining.
+     */
+    whereNotNull(field) {
+      return this.where(field, "not null");
+    }
+
+    /**
+     * Adds a sort key. Call it more than once to sort on several keys.
+     * @param {string} field - The property to sort on.
+     * @param {string} [direction="asc"] - Either "asc" or "desc".
+     * @returns {GSTableQuery} - The query itself, for chaining.
+     *
+     * @example
+     * Item.query().orderBy('quantity', 'desc').orderBy('name').get();
+     */
+    orderBy(field, direction = "asc") {
+      direction = String(direction).toLowerCase();
+      if(direction !== "asc" && direction !== "desc") {
+        throw new Error("Sort direction must be 'asc' or 'desc', got '" + direction + "'");
+      }
+      this.sorts.push({ field: this.model.propertyOf(field), direction });
+      return this;
+    }
+
+    /**
+     * Limits the number of returned entities.
+     * @param {number} count - The maximum number of entities to return.
+     * @returns {GSTableQuery} - The query itself, for chaining.
+     */
+    limit(count) {
+      this.limitCount = count;
+      return this;
+    }
+
+    /**
+     * Skips the first entities of the result.
+     * @param {number} count - The number of entities to skip.
+     * @returns {GSTableQuery} - The query itself, for chaining.
+     */
+    offset(count) {
+      this.offsetCount = count;
+      return this;
+    }
+
+    /**
+     * Includes soft-deleted entities in the result.
+     * @returns {GSTableQuery} - The query itself, for chaining.
+     */
+    withTrashed() {
+      this.trashed = "with";
+      return this;
+    }
+
+    /**
+     * Returns only soft-deleted entities.
+     * @returns {GSTableQuery} - The query itself, for chaining.
+     */
+    onlyTrashed() {
+      this.trashed = "only";
+      return this;
+    }
+
+    /**
+     * Loads relations of the returned entities together with the query.
+     * @param {...string} relations - The names of the relations, see `GSTable.relations()`.
+     * @returns {GSTableQuery} - The query itself, for chaining.
+     *
+     * @description Each related sheet is read once for the whole result and joined in memory,
+     * instead of once per entity. The related entities are attached as `<relation>_`, like
+     * `expand()` does, and returned by `getRelated()` without reading the sheet again.
+     *
+     * @example
+     * const orders = Order.query().with('lines', 'customer').get();
+     * orders[0].lines_; // Array of OrderLine
+     * orders[0].customer_; // Customer
+     */
+    with(...relations) {
+      this.eager = this.eager.concat(relations);
+      return this;
+    }
+
+    /**
+     * Runs the query.
+     * @returns {Array} - The matching entities, sorted and paged.
+     */
+    get() {
+      var entities = this.filtered();
+
+      if(this.sorts.length > 0) {
+        entities.sort((a, b) => {
+          for(let i = 0; i < this.sorts.length; i++) {
+            let {field, direction} = this.sorts[i];
+            let result = this.compare(field, a, b);
+            if(result !== 0) return direction === "desc" ? -result : result;
+          }
+          return 0;
+        });
+      }
+
+      var end = this.limitCount === null ? undefined : this.offsetCount + this.limitCount;
+      entities = entities.slice(this.offsetCount, end);
+      if(this.eager.length > 0) this.model.eagerLoad(entities, this.eager);
+      return entities;
+    }
+
+    /**
+     * Runs the query and returns only the first entity.
+     * @returns {Object|null} - The first matching entity, or null if none matches.
+     */
+    first() {
+      var previousLimit = this.limitCount;
+      this.limitCount = 1;
+      var result = this.get();
+      this.limitCount = previousLimit;
+      return result.length > 0 ? result[0] : null;
+    }
+
+    /**
+     * Counts the entities matching the conditions, ignoring `limit` and `offset`.
+     * @returns {number} - The number of matching entities.
+     */
+    count() {
+      return this.filtered().length;
+    }
+
+    /**
+     * Returns every entity matching the conditions, ignoring sorting, `limit` and `offset`.
+     * @returns {Array} - The matching entities, in sheet order.
+     */
+    filtered() {
+      return this.model.findAll({ trashed: this.trashed }).filter((entity) => this.matches(entity));
+    }
+
+    /**
+     * Sums a NUMBER or DECIMAL column over the matching entities, ignoring `limit` and `offset`.
+     * @param {string} field - The property, or a path through foreign keys like "product.price".
+     * @returns {number} - The sum, 0 if no entity has a value.
+     */
+    sum(field) {
+      return this.aggregate("sum", field, this.filtered());
+    }
+
+    /**
+     * Averages a NUMBER or DECIMAL column over the matching entities, ignoring empty values.
+     * @param {string} field - The property, or a path through foreign keys.
+     * @returns {number|null} - The average, null if no entity has a value.
+     */
+    avg(field) {
+      return this.aggregate("avg", field, this.filtered());
+    }
+
+    /**
+     * Returns the lowest value of a column among the matching entities.
+     * @param {string} field - The property, or a path through foreign keys.
+     * @returns {any} - The lowest value, compared according to the column type, or null.
+     */
+    min(field) {
+      return this.aggregate("min", field, this.filtered());
+    }
+
+    /**
+     * Returns the highest value of a column among the matching entities.
+     * @param {string} field - The property, or a path through foreign keys.
+     * @returns {any} - The highest value, compared according to the column type, or null.
+     */
+    max(field) {
+      return this.aggregate("max", field, this.filtered());
+    }
+
+    /**
+     * Lists the different values of a column among the matching entities.
+     * @param {string} field - The property, or a path through foreign keys.
+     * @returns {Array} - The values, in order of first appearance. Empty values are left out
+     * and values equal according to the column type (like two equal dates) appear once.
+     */
+    distinct(field) {
+      return this.aggregate("distinct", field, this.filtered());
+    }
+
+    /**
+     * Groups the matching entities, to aggregate each group with `agg()`.
+     * @param {...string} fields - The properties to group on, or paths through foreign keys
+     * like "customer.country".
+     * @returns {GSTableGroup} - The grouping.
+     *
+     * @example
+     * const {sum, count} = GSTable.AGG();
+     * Order.query().where('status', 'paid').groupBy('customer.country').agg({ total: sum('amount'), orders: count() });
+     * // [{ 'customer.country': 'IT', total: 1200, orders: 8 }, ...]
+     */
+    groupBy(...fields) {
+      return new GSTableGroup(this, fields);
+    }
+
+    /**
+     * Computes an aggregate over a list of entities.
+     * @param {string} kind - One of "count", "sum", "avg", "min", "max" or "distinct".
+     * @param {string|null} field - The aggregated field; null counts the entities.
+     * @param {Array} entities - The entities.
+     * @param {Object} [reader=null] - The reader of `field`, as returned by `reader()`; built
+     * when not given. Pass it when aggregating several lists on the same field.
+     * @returns {any} - The result, see the method of the same name.
+     *
+     * @throws {Error} If `sum` or `avg` are applied to a column that is not a NUMBER.
+     */
+    aggregate(kind, field, entities, reader = null) {
+      if (kind === "count" && (field === null || typeof field === "undefined")) return entities.length;
+
+      var {read, type} = reader || this.reader(field);
+      if ((kind === "sum" || kind === "avg") && type !== "number" && type !== "decimal") {
+        throw new Error(kind + "() needs a NUMBER or DECIMAL column, '" + field + "' is not");
+      }
+      var items = entities
+        .map((entity) => read(entity))
+        .map((value) => ({ value, key: GSTableQuery.normalize(value, type) }))
+        .filter((item) => item.key !== null);
+
+      switch (kind) {
+        case "count":
+          return items.length;
+        case "sum":
+        case "avg":
+          var total = items.reduce((result, item) => result + item.key, 0);
+          return kind === "sum" ? total : items.length > 0 ? total / items.length : null;
+        case "min":
+        case "max":
+          var best = items.reduce((result, item) => {
+            if (result === null) return item;
+            return (kind === "min" ? item.key < result.key : item.key > result.key) ? item : result;
+          }, null);
+          return best !== null ? best.value : null;
+        case "distinct":
+          var seen = new Set();
+          return items.filter((item) => !seen.has(item.key) && seen.add(item.key)).map((item) => item.value);
+      }
+      throw new Error("Unknown aggregate '" + kind + "'");
+    }
+
+    /**
+     * Prepares the reading of a field, following foreign keys for dotted paths.
+     * @param {string} path - The property (or label), or a path like "customer.country".
+     * @returns {Object} - An object containing:
+     *   - read {Function}: Returns the value of the field for an entity, "" when a referenced
+     *     entity does not exist.
+     *   - type {string|null}: The column type of the last field of the path.
+     *
+     * @description Each referenced class is read once, the first time one of its entities is
+     * needed.
+     *
+     * @throws {Error} If a field does not exist or an intermediate field is not a FOREIGNKEY.
+     */
+    reader(path) {
+      var model = this.model;
+      var steps = [];
+      String(path).split(".").forEach((name, index, names) => {
+        var field = model.propertyOf(name);
+        var column = model.getColumns()[field];
+        if (!column) throw new Error("Unknown column '" + name + "' in " + model.name);
+        steps.push({ field, column });
+        if (index < names.length - 1) {
+          if (column._type !== "fk") throw new Error("'" + name + "' is not a foreign key of " + model.name);
+          model = column._class;
+        }
+      });
+
+      var lookups = new Map();
+      var lookup = (related, id) => {
+        if (!lookups.has(related)) {
+          var byId = new Map();
+          related.findAll({ trashed: "with" }).forEach((entity) => byId.set(GSTableQuery.normalize(entity.id._value, "str"), entity));
+          lookups.set(related, byId);
+        }
+        return lookups.get(related).get(GSTableQuery.normalize(id, "str")) || null;
+      };
+
+      return {
+        type: steps[steps.length - 1].column._type,
+        read: (entity) => {
+          var current = entity;
+          for (var i = 0; i < steps.length - 1; i++) {
+            current = lookup(steps[i].column._class, current[steps[i].field]._value);
+            if (current === null) return "";
+          }
+          return current[steps[steps.length - 1].field]._value;
+        },
+      };
+    }
+
+    /**
+     * Checks whether at least one entity matches the conditions.
+     * @returns {boolean} - True if at least one entity matches.
+     */
+    exists() {
+      return this.count() > 0;
+    }
+
+    /**
+     * Evaluates the conditions of the query against an entity.
+     * @param {Object} entity - The entity to check.
+     * @returns {boolean} - True if the entity satisfies the conditions.
+     *
+     * @description Clauses are split in OR-separated groups of AND-ed clauses, so that AND takes
+     * precedence over OR like in SQL. A query without clauses matches every entity.
+     */
+    matches(entity) {
+      if(this.clauses.length === 0) return true;
+
+      var groups = [[]];
+      this.clauses.forEach((clause, index) => {
+        if(clause.boolean === "or" && index > 0) groups.push([]);
+        groups[groups.length - 1].push(clause.test);
+      });
+      return groups.some((group) => group.every((test) => test(entity)));
+    }
+
+    /**
+     * Builds a clause from the arguments of `where` or `orWhere`.
+     * @param {string} boolean - Either "and" or "or".
+     * @param {IArguments} args - The arguments received by `where` or `orWhere`.
+     * @returns {GSTableQuery} - The query itself, for chaining.
+     */
+    addClause(boolean, args) {
+      var [field, operator, value] = args;
+
+      if(typeof field === "function") {
+        var nested = new GSTableQuery(this.model);
+        field(nested);
+        this.clauses.push({ boolean, test: (entity) => nested.matches(entity) });
+        return this;
+      }
+
+      // Columns can be named by label as well.
+      field = this.model.propertyOf(field);
+      if(args.length === 2 && !["null", "not null"].includes(operator)) {
+        value = operator;
+        operator = "=";
+      }
+      if(!GSTableQuery.OPERATORS().includes(operator)) {
+        throw new Error("Unknown operator '" + operator + "'");
+      }
+      if(operator === "between" && !(Array.isArray(value) && value.length === 2)) {
+        throw new Error("Operator 'between' expects an array [from, to]");
+      }
+      if((operator === "in" || operator === "not in") && !Array.isArray(value)) {
+        throw new Error("Operator '" + operator + "' expects an array");
+      }
+
+      this.clauses.push({ boolean, test: (entity) => this.test(entity, field, operator, value) });
+      return this;
+    }
+
+    /**
+     * Checks a single condition against an entity.
+     * @param {Object} entity - The entity to check.
+     * @param {string} field - The property to check.
+     * @param {string} operator - The operator to apply.
+     * @param {any} value - The value to compare with.
+     * @returns {boolean} - The result of the comparison.
+     */
+    test(entity, field, operator, value) {
+      var type = this.typeOf(field);
+      var actual = GSTableQuery.normalize(this.valueOf(entity, field), type);
+      var isEmpty = actual === null;
+
+      switch(operator) {
+        case "null":
+          return isEmpty;
+        case "not null":
+          return !isEmpty;
+        case "in":
+          return value.some((item) => actual === GSTableQuery.normalize(item, type));
+        case "not in":
+          return !value.some((item) => actual === GSTableQuery.normalize(item, type));
+        case "between":
+          if(isEmpty) return false;
+          return actual >= GSTableQuery.normalize(value[0], type) && actual <= GSTableQuery.normalize(value[1], type);
+        case "contains":
+          return !isEmpty && String(actual).includes(String(value));
+        case "startsWith":
+          return !isEmpty && String(actual).startsWith(String(value));
+        case "endsWith":
+          return !isEmpty && String(actual).endsWith(String(value));
+      }
+
+      var expected = GSTableQuery.normalize(value, type);
+      switch(operator) {
+        case "=":
+        case "==":
+          return actual === expected;
+        case "!=":
+        case "<>":
+          return actual !== expected;
+      }
+
+      // Ordering operators never match empty values.
+      if(isEmpty || expected === null) return false;
+      switch(operator) {
+        case ">": return actual > expected;
+        case ">=": return actual >= expected;
+        case "<": return actual < expected;
+        case "<=": return actual <= expected;
+      }
+      return false;
+    }
+
+    /**
+     * Compares two entities on a field, with empty values sorted last.
+     * @param {string} field - The property to compare.
+     * @param {Object} a - The first entity.
+     * @param {Object} b - The second entity.
+     * @returns {number} - A negative, zero or positive number like `Array.prototype.sort` expects.
+     */
+    compare(field, a, b) {
+      var type = this.typeOf(field);
+      var left = GSTableQuery.normalize(this.valueOf(a, field), type);
+      var right = GSTableQuery.normalize(this.valueOf(b, field), type);
+
+      if(left === right) return 0;
+      if(left === null) return 1;
+      if(right === null) return -1;
+      return left < right ? -1 : 1;
+    }
+
+    /**
+     * Reads the raw value of a field, unwrapping column definitions.
+     * @param {Object} entity - The entity to read.
+     * @param {string} field - The property to read.
+     * @returns {any} - The value of the property.
+     */
+    valueOf(entity, field) {
+      var propertyInfo = entity[field];
+      return this.model.isColumn(propertyInfo) ? propertyInfo._value : propertyInfo;
+    }
+
+    /**
+     * Reads the `_type` of a column of the queried class.
+     * @param {string} field - The property to look up.
+     * @returns {string|null} - The column type, or null if the property is not a column.
+     */
+    typeOf(field) {
+      var columns = this.model.getColumns();
+      return columns.hasOwnProperty(field) ? columns[field]._type : null;
+    }
+
+    /**
+     * Converts a value into a primitive that can be compared according to the column type.
+     * @static
+     * @param {any} value - The value to convert.
+     * @param {string|null} type - The `_type` of the column.
+     * @returns {any} - A comparable primitive, or null for empty values.
+     *
+     * @description Dates become timestamps, numbers and booleans are parsed from their string
+     * form, times are zero padded to hh:mm and everything else is compared as a string.
+     */
+    static normalize(value, type) {
+      if(typeof value === "undefined" || value === null || value === "") return null;
+
+      switch(type) {
+        case "date":
+        case "datetime":
+          var time = (value instanceof Date ? value : new Date(value)).getTime();
+          return isNaN(time) ? null : time;
+        case "number":
+        case "decimal":
+          var number = Number(value);
+          return isNaN(number) ? null : number;
+        case "bool":
+          if(typeof value === "string") return value.trim().toLowerCase() === "true";
+          return Boolean(value);
+        case "time":
+          if(value instanceof Date) {
+            return ("0" + value.getHours()).slice(-2) + ":" + ("0" + value.getMinutes()).slice(-2);
+          }
+          var parts = String(value).split(":");
+          return parts.map((part) => ("0" + part.trim()).slice(-2)).join(":");
+        case "str":
+        case "fk":
+        case "file":
+        case "enum":
+        case "email":
+        case "url":
+          return String(value);
+        case "json":
+        case "array":
+          return typeof value === "string" ? value : JSON.stringify(value);
+      }
+      return value instanceof Date ? value.getTime() : value;
+    }
+}
+
+/**
+ * Entities of a query grouped on some fields, created by `GSTableQuery.groupBy()`.
+ * @example
+ * const {sum, avg} = GSTable.AGG();
+ * Item.groupBy('category').agg({ stock: sum('quantity'), price: avg('price') });
+ */
+class GSTableGroup {
+    /**
+     * Constructor for GSTableGroup class.
+     * @constructor
+     * @param {GSTableQuery} query - The query selecting the entities.
+     * @param {Array<string>} fields - The fields to group on.
+     */
+    constructor(query, fields) {
+      if (fields.length === 0) throw new Error("groupBy() needs at least one field");
+      this.query = query;
+      this.fields = fields;
+    }
+
+    /**
+     * Aggregates every group.
+     * @param {Object<string, Object>} aggregates - The aggregates to compute, by result key,
+     * created with `GSTable.AGG()`.
+     * @returns {Array<Object>} - One object per group, in order of first appearance, holding
+     * the value of each group field (keyed as given to `groupBy()`) and of each aggregate.
+     * Values equal according to the column type fall in the same group.
+     *
+     * @description The reader of each aggregated field is built once and shared by every
+     * group, so the classes referenced by a dotted path are read only once.
+     */
+    agg(aggregates = {}) {
+      var readers = this.fields.map((field) => Object.assign({ field }, this.query.reader(field)));
+      var specs = Object.keys(aggregates).map((name) => {
+        var {kind, field} = aggregates[name];
+        var counting = kind === "count" && (field === null || typeof field === "undefined");
+        return { name, kind, field, reader: counting ? null : this.query.reader(field) };
+      });
+      var groups = new Map();
+
+      this.query.filtered().forEach((entity) => {
+        var values = readers.map((reader) => reader.read(entity));
+        var key = JSON.stringify(values.map((value, index) => GSTableQuery.normalize(value, readers[index].type)));
+        if (!groups.has(key)) groups.set(key, { values, entities: [] });
+        groups.get(key).entities.push(entity);
+      });
+
+      return [...groups.values()].map((group) => {
+        var row = {};
+        readers.forEach((reader, index) => row[reader.field] = group.values[index]);
+        specs.forEach(({name, kind, field, reader}) => {
+          row[name] = this.query.aggregate(kind, field, group.entities, reader);
+        });
+        return row;
+      });
+    }
+}
+
+/**
+ * A file stored in Google Drive, the value of a FILE column once uploaded.
+ * @example
+ * const item = Item.findById('ABC123');
+ * item.image._value.getUrl(); // "https://drive.google.com/file/d/.../view"
+ * item.image._value.getBlob().getContentType(); // "image/png"
+ */
+class GSTableFile {
+    /**
+     * Constructor for GSTableFile class.
+     * @constructor
+     * @param {string} id - The Drive file id.
+     * @param {Object|null} [storage=null] - The storage adapter holding the file, `GSTable.storage()` by default.
+     */
+    constructor(id, storage = null) {
+      this.id = id;
+      this.storage = storage;
+    }
+
+    /**
+     * Checks whether a value is a Blob (or a BlobSource like a Drive file) waiting to be uploaded.
+     * @static
+     * @param {any} value - The value to check.
+     * @returns {boolean} - True for objects with a `getBytes()` or `getBlob()` method.
+     */
+    static isBlob(value) {
+      if (value === null || typeof value !== "object" || value instanceof GSTableFile) return false;
+      return typeof value.getBytes === "function" || typeof value.getBlob === "function";
+    }
+
+    /**
+     * Extracts the file id from a Drive URL.
+     * @static
+     * @param {string} value - A file id or a URL like "https://drive.google.com/file/d/<id>/view".
+     * @returns {string} - The file id, the value itself if it is not a Drive URL.
+     */
+    static idFromUrl(value) {
+      var text = String(value).trim();
+      var match = /\/d\/([^/?#]+)|[?&]id=([^&#]+)/.exec(text);
+      return /^https?:\/\//.test(text) && match !== null ? match[1] || match[2] : text;
+    }
+
+    /**
+     * Returns the adapter holding the file.
+     * @returns {Object} - The storage adapter.
+     */
+    adapter() {
+      return this.storage !== null ? this.storage : GSTable.storage();
+    }
+
+    /**
+     * Returns the Drive file id, the value written in the sheet.
+     * @returns {string} - The file id.
+     */
+    getId() {
+      return this.id;
+    }
+
+    /**
+     * Reads the content of the file.
+     * @returns {GoogleAppsScript.Base.Blob} - The content.
+     */
+    getBlob() {
+      return this.adapter().fileBlob(this.id);
+    }
+
+    /**
+     * Returns the URL to open the file in Drive.
+     * @returns {string} - The URL.
+     */
+    getUrl() {
+      return this.adapter().fileUrl(this.id);
+    }
+
+    /**
+     * Returns the name of the file.
+     * @returns {string} - The name.
+     */
+    getName() {
+      return this.adapter().fileName(this.id);
+    }
+
+    /**
+     * Moves the file to the Drive trash.
+     */
+    trash() {
+      this.adapter().trashFile(this.id);
+    }
+
+    toString() {
+      return this.id;
+    }
+
+    toJSON() {
+      return this.id;
+    }
+}
+
+/**
+ * JSON REST API over classes extended by `GSTable`, created by `GSTable.router()`.
+ *
+ * @description The resource and the id are read from the path after the web app URL
+ * (`/exec/item/ABC123`) or from the `resource` and `id` parameters:
+ * - GET `/item` lists the entities. Filter with `field=value` or `field[op]=value` where `op`
+ *   is one of eq, ne, gt, gte, lt, lte, in, nin (comma-separated values), contains,
+ *   startsWith, endsWith and null (true or false); parameters that are not fields are
+ *   ignored. Sort with `sort=-created,name`; page with `limit` (default 100, at most 1000)
+ *   and `offset`.
+ * - GET `/item/ABC123` returns one entity.
+ * - POST `/item` creates an entity from the JSON body.
+ * - POST `/item/ABC123` with `_method=PUT` (or PATCH, as parameter or in the body) updates the
+ *   fields of the body; with `_method=DELETE` removes the entity.
+ *
+ * Apps Script web apps always answer with HTTP 200, so the status code is part of the JSON
+ * response: `{ status: 200, data: ... }` or `{ status: 404, error: { type, message } }`.
+ * Invalid values answer 422 with the `errors` of the `ValidationError`, conflicts (see
+ * `ConcurrencyError` and `IntegrityError`) answer 409. Any other error answers 500 with a
+ * generic message, its details are logged through the storage adapter.
+ */
+class GSTableRouter {
+    /**
+     * Constructor for GSTableRouter class.
+     * @constructor
+     * @param {Array<Function|Object>} models - The published classes, see `GSTable.router()`.
+     */
+    constructor(models = []) {
+      this.routes = new Map();
+      models.forEach((entry) => {
+        var route = typeof entry === "function" ? { model: entry } : Object.assign({}, entry);
+        if (!(route.model && route.model.prototype instanceof GSTable)) {
+          throw new Error("GSTable.router() expects classes extended by GSTable");
+        }
+        route.name = String(route.name || route.model.tableName());
+        route.operations = route.operations || GSTableRouter.OPERATIONS();
+        route.fields = route.fields ? route.fields.map((field) => route.model.propertyOf(field)) : null;
+        this.routes.set(route.name.toLowerCase(), route);
+      });
+    }
+
+    /**
+     * Lists the operations a route can allow.
+     * @static
+     * @returns {Array<string>} - The operation names.
+     */
+    static OPERATIONS() {
+      return ["list", "get", "create", "update", "delete"];
+    }
+
+    /**
+     * Handles a GET request of the web app.
+     * @param {Object} e - The event object passed to `doGet`.
+     * @returns {GoogleAppsScript.Content.TextOutput} - The JSON response.
+     */
+    doGet(e) {
+      return this.respond(this.handle("GET", e));
+    }
+
+    /**
+     * Handles a POST request of the web app.
+     * @param {Object} e - The event object passed to `doPost`.
+     * @returns {GoogleAppsScript.Content.TextOutput} - The JSON response.
+     */
+    doPost(e) {
+      return this.respond(this.handle("POST", e));
+    }
+
+    /**
+     * Wraps a response into a JSON text output.
+     * @param {Object} response - The response computed by `handle()`.
+     * @returns {GoogleAppsScript.Content.TextOutput} - The JSON response.
+     */
+    respond(response) {
+      return ContentService.createTextOutput(JSON.stringify(response)).setMimeType(ContentService.MimeType.JSON);
+    }
+
+    /**
+     * Routes a request and runs the matching operation.
+     * @param {string} method - "GET" or "POST".
+     * @param {Object} [e={}] - The event object of the web app, with `pathInfo`, `parameter`
+     * and `postData`.
+     * @returns {Object} - The response: `{ status, data }` on success, `{ status, error }` otherwise.
+     */
+    handle(method, e = {}) {
+      try {
+        var parameter = e.parameter || {};
+        var body = this.body(e);
+        var segments = String(e.pathInfo || "").split("/").filter((segment) => segment !== "");
+        var resource = segments.length > 0 ? segments[0] : parameter.resource;
+        var id = segments.length > 1 ? decodeURIComponent(segments[1]) : parameter.id;
+
+        var route = resource ? this.routes.get(String(resource).toLowerCase()) : undefined;
+        if (!route) this.fail(404, "Unknown resource '" + resource + "'");
+
+        if (method === "POST") method = String(parameter._method || body._method || "POST").toUpperCase();
+        delete body._method;
+        var operation = method === "GET" ? (id ? "get" : "list")
+          : method === "POST" ? "create"
+          : method === "PUT" || method === "PATCH" ? "update"
+          : method === "DELETE" ? "delete" : null;
+        if (operation === null) this.fail(405, "Unknown method '" + method + "'");
+        if (!route.operations.includes(operation)) {
+          this.fail(405, "Operation '" + operation + "' is not allowed on '" + route.name + "'");
+        }
+        if (["update", "delete"].includes(operation) && !id) this.fail(400, "Operation '" + operation + "' needs an id");
+
+        if (operation === "list") return Object.assign({ status: 200 }, this.list(route, parameter));
+        if (operation === "create") return { status: 201, data: this.create(route, body) };
+
+        var entity = route.model.findById(id);
+        if (entity === null) this.fail(404, route.name + " '" + id + "' not found");
+        if (operation === "get") return { status: 200, data: this.output(route, entity) };
+        if (operation === "update") return { status: 200, data: this.update(route, entity, body) };
+        if (entity.remove() === false) this.fail(409, "The removal has been cancelled");
+        return { status: 200, data: { id: entity.id._value } };
+      } catch (error) {
+        return this.failure(error);
+      }
+    }
+
+    /**
+     * Lists the entities of a route.
+     * @param {Object} route - The route.
+     * @param {Object} parameter - The query parameters of the request.
+     * @returns {Object} - The response fields `data`, `total`, `limit` and `offset`.
+     */
+    list(route, parameter) {
+      var operators = {
+        eq: "=", ne: "!=", gt: ">", gte: ">=", lt: "<", lte: "<=", in: "in", nin: "not in",
+        contains: "contains", startsWith: "startsWith", endsWith: "endsWith", null: "null",
+      };
+      var query = route.model.query();
+
+      Object.keys(parameter).forEach((key) => {
+        if (["resource", "id", "_method", "sort", "limit", "offset"].includes(key)) return;
+        var [, name, op = "eq"] = /^(.+?)(?:\[(\w+)\])?$/.exec(key);
+        // Parameters that are not fields, like cache busters added by clients, are ignored.
+        var field = this.known(route, name);
+        if (field === null) return;
+        if (!operators.hasOwnProperty(op)) this.fail(400, "Unknown filter operator '" + op + "'");
+
+        var value = parameter[key];
+        if (op === "in" || op === "nin") {
+          query.where(field, operators[op], String(value).split(","));
+        } else if (op === "null") {
+          query.where(field, String(value).toLowerCase() === "false" ? "not null" : "null");
+        } else {
+          query.where(field, operators[op], value);
+        }
+      });
+
+      String(parameter.sort || "").split(",").filter((sort) => sort !== "").forEach((sort) => {
+        var descending = sort.charAt(0) === "-";
+        query.orderBy(this.readable(route, descending ? sort.slice(1) : sort), descending ? "desc" : "asc");
+      });
+
+      var limit = this.integer(parameter.limit, 100, "limit");
+      var offset = this.integer(parameter.offset, 0, "offset");
+      if (limit > 1000) this.fail(400, "'limit' cannot be greater than 1000");
+
+      var total = query.count();
+      var data = query.limit(limit).offset(offset).get().map((entity) => this.output(route, entity));
+      return { data, total, limit, offset };
+    }
+
+    /**
+     * Creates an entity from the body of a request.
+     * @param {Object} route - The route.
+     * @param {Object} body - The values of the entity.
+     * @returns {Object} - The created entity, as returned to the client.
+     */
+    create(route, body) {
+      var model = route.model;
+      var input = this.input(route, body, model.primaryKey().strategy === "natural");
+      var entity = new model();
+      this.assign(entity, input);
+      if (entity.persist() === false) this.fail(409, "The creation has been cancelled");
+      return this.output(route, entity);
+    }
+
+    /**
+     * Updates an entity with the body of a request.
+     * @param {Object} route - The route.
+     * @param {Object} entity - The entity to update.
+     * @param {Object} body - The values to change.
+     * @returns {Object} - The updated entity, as returned to the client.
+     */
+    update(route, entity, body) {
+      delete body.id;
+      var input = this.input(route, body, false);
+      this.assign(entity, input);
+      if (entity.persist() === false) this.fail(409, "The update has been cancelled");
+      return this.output(route, entity);
+    }
+
+    /**
+     * Sets the values sent by the client on an entity, converted to the column types.
+     * @param {Object} entity - The entity.
+     * @param {Object} input - The values, by property, as returned by `input()`.
+     */
+    assign(entity, input) {
+      Object.keys(input).forEach((field) => {
+        entity[field]._value = entity.constructor.coerce(entity[field], input[field]);
+      });
+    }
+
+    /**
+     * Converts an entity into the object returned to the client.
+     * @param {Object} route - The route.
+     * @param {Object} entity - The entity.
+     * @returns {Object} - The simple object of the entity, limited to the allowed fields.
+     */
+    output(route, entity) {
+      var simple = entity.toSimpleOjbect();
+      if (route.fields === null) return simple;
+
+      var allowed = {};
+      Object.keys(simple).forEach((key) => {
+        if (key === "id" || route.fields.includes(key)) allowed[key] = simple[key];
+      });
+      return allowed;
+    }
+
+    /**
+     * Checks the values sent by the client.
+     * @param {Object} route - The route.
+     * @param {Object} body - The values, by property or label.
+     * @param {boolean} acceptId - Whether the `id` can be set.
+     * @returns {Object} - The values, by property.
+     */
+    input(route, body, acceptId) {
+      var model = route.model;
+      var columns = model.describe();
+      var input = {};
+
+      Object.keys(body).forEach((key) => {
+        var field = model.propertyOf(key);
+        var column = columns.find((item) => item.name === field);
+        if (!column) this.fail(400, "Unknown field '" + key + "'");
+        if (column.system && !(field === "id" && acceptId)) this.fail(400, "Field '" + key + "' is read-only");
+        if (route.fields !== null && !route.fields.includes(field)) this.fail(400, "Field '" + key + "' cannot be written");
+        input[field] = body[key];
+      });
+      return input;
+    }
+
+    /**
+     * Resolves a field the client wants to filter or sort on.
+     * @param {Object} route - The route.
+     * @param {string} name - The property or label.
+     * @returns {string} - The property.
+     */
+    readable(route, name) {
+      var field = this.known(route, name);
+      if (field === null) this.fail(400, "Unknown field '" + name + "'");
+      return field;
+    }
+
+    /**
+     * Looks up a field the client can read.
+     * @param {Object} route - The route.
+     * @param {string} name - The property or label.
+     * @returns {string|null} - The property, null if there is no such field or it is not published.
+     */
+    known(route, name) {
+      var field = route.model.propertyOf(name);
+      if (!route.model.getColumns().hasOwnProperty(field) || (route.fields !== null && field !== "id" && !route.fields.includes(field))) {
+        return null;
+      }
+      return field;
+    }
+
+    /**
+     * Parses the JSON body of a request.
+     * @param {Object} e - The event object of the web app.
+     * @returns {Object} - The body, an empty object if there is none.
+     */
+    body(e) {
+      if (!e.postData || !e.postData.contents) return {};
+      try {
+        var body = JSON.parse(e.postData.contents);
+      } catch (error) {
+        this.fail(400, "The body is not valid JSON");
+      }
+      if (body === null || typeof body !== "object" || Array.isArray(body)) this.fail(400, "The body must be a JSON object");
+      return body;
+    }
+
+    /**
+     * Parses a non-negative integer parameter.
+     * @param {string|undefined} value - The parameter.
+     * @param {number} fallback - The value when the parameter is missing.
+     * @param {string} name - The parameter name, for the error message.
+     * @returns {number} - The integer.
+     */
+    integer(value, fallback, name) {
+      if (typeof value === "undefined" || value === "") return fallback;
+      var number = Number(value);
+      if (!Number.isInteger(number) || number < 0) this.fail(400, "'" + name + "' must be a non-negative integer");
+      return number;
+    }
+
+    /**
+     * Stops the request with an error status.
+     * @param {number} status - The status code.
+     * @param {string} message - The error message.
+     */
+    fail(status, message) {
+      var error = new Error(message);
+      error.status = status;
+      throw error;
+    }
+
+    /**
+     * Converts an error into a response.
+     * @param {Error} error - The error.
+     * @returns {Object} - The response, with the status matching the error.
+     *
+     * @description Unexpected errors answer 500 with a generic message, so that their details
+     * (sheet names, ids, stack traces) are not sent to the client: they are written to the
+     * log of the storage adapter instead.
+     */
+    failure(error) {
+      var status = error.status
+        || (error instanceof ValidationError ? 422
+          : error instanceof ConcurrencyError || error instanceof IntegrityError ? 409 : 500);
+      if (status === 500) {
+        GSTable.storage().log("GSTableRouter: " + (error && error.stack ? error.stack : String(error)));
+        return { status, error: { type: "InternalError", message: "Internal error" } };
+      }
+      var details = { type: error.status ? "RequestError" : error.name, message: error.message };
+      if (error instanceof ValidationError) details.errors = error.errors;
+      return { status, error: details };
+    }
+}
+
+/**
+ * Error thrown when an entity cannot be written because some of its values are invalid.
+ * @example
+ * try {
+ *   item.persist();
+ * } catch (e) {
+ *   if (e instanceof ValidationError) {
+ *     e.errors.forEach((error) => Logger.log(error.field + ': ' + error.message));
+ *   }
+ * }
+ */
+class ValidationError extends Error {
+    /**
+     * Constructor for ValidationError class.
+     * @constructor
+     * @param {Array<Object>} errors - The invalid fields, each with `field`, `rule`, `message` and `value`.
+     */
+    constructor(errors = []) {
+      super(errors.map((error) => "'" + error.field + "' " + error.message).join("; "));
+      this.name = "ValidationError";
+      this.errors = errors;
+    }
+}
+
+/**
+ * Error thrown when removing an entity would break a foreign key declared with `onDelete`.
+ * @example
+ * try {
+ *   customer.remove();
+ * } catch (e) {
+ *   if (e instanceof IntegrityError) {
+ *     e.references.forEach((reference) => Logger.log(reference.model.name + ' ' + reference.entity.id._value));
+ *   }
+ * }
+ */
+class IntegrityError extends Error {
+    /**
+     * Constructor for IntegrityError class.
+     * @constructor
+     * @param {string} message - The description of the problem.
+     * @param {Array<Object>} references - The referencing rows, each with `model`, `entity` and `field`.
+     */
+    constructor(message, references = []) {
+      super(message);
+      this.name = "IntegrityError";
+      this.references = references;
+    }
+}
+
+/**
+ * Error thrown when a row changed in the sheet after the entity was read.
+ * @example
+ * try {
+ *   stock.persist();
+ * } catch (e) {
+ *   if (e instanceof ConcurrencyError) {
+ *     stock = Stock.findById(e.entity.id._value); // read it again and retry
+ *   }
+ * }
+ */
+class ConcurrencyError extends Error {
+    /**
+     * Constructor for ConcurrencyError class.
+     * @constructor
+     * @param {string} message - The description of the conflict.
+     * @param {Object} entity - The entity that could not be written.
+     */
+    constructor(message, entity = null) {
+      super(message);
+      this.name = "ConcurrencyError";
+      this.entity = entity;
+    }
+}
+
+/**
+ * Entry of the audit sheet, written for classes extended by `GSTable` that are `audited()`.
+ * @example
+ * const entries = GSTableAudit.query().where('entity', 'Contract').orderBy('timestamp', 'desc').limit(10).get();
+ */
+class GSTableAudit extends GSTable {
+    /**
+     * Constructor for GSTableAudit class.
+     * @constructor
+     * @param {string} entity - The name of the changed class.
+     * @param {string} entity_id - The id of the changed entity.
+     * @param {string} operation - One of "insert", "update", "remove" or "restore".
+     * @param {string} user - The email of the user who made the change.
+     * @param {Date} timestamp - When the change was made.
+     * @param {string} changes - The changed columns as JSON, `{ column: [before, after] }`.
+     */
+    constructor(entity, entity_id, operation, user, timestamp, changes) {
+      super();
+      this.entity = GSTable.COLUMN().STRING(entity);
+      this.entity_id = GSTable.COLUMN().STRING(entity_id);
+      this.operation = GSTable.COLUMN().STRING(operation, true, { values: ["insert", "update", "remove", "restore"] });
+      this.user = GSTable.COLUMN().STRING(user, false);
+      this.timestamp = GSTable.COLUMN().DATE(timestamp);
+      this.changes = GSTable.COLUMN().STRING(changes, false);
+    }
+
+    /**
+     * Parses the changed columns of the entry.
+     * @returns {Object} - The changes as `{ column: [before, after] }`.
+     */
+    getChanges() {
+      return this.changes._value ? JSON.parse(this.changes._value) : {};
+    }
+}
+
+/**
+ * Storage adapter reading and writing Google Sheets, the default of `GSTable.storage()`.
+ *
+ * @description Sheets are passed around as the handles returned by `getSheet` and
+ * `createSheet`; rows and columns are numbered from 1 like in Google Sheets. A custom
+ * adapter has to implement the same methods.
+ */
+class GSTableSheetsAdapter {
+    /**
+     * Constructor for GSTableSheetsAdapter class.
+     * @constructor
+     */
+    constructor() {
+      this.spreadsheets = new Map();
+    }
+
+    /**
+     * Returns a spreadsheet, opening it once per execution.
+     * @param {string|null} [spreadsheetId=null] - The spreadsheet id, null for the active spreadsheet.
+     * @returns {GoogleAppsScript.Spreadsheet.Spreadsheet} - The spreadsheet.
+     *
+     * @throws {Error} If no id is given and the script has no active spreadsheet.
+     */
+    spreadsheet(spreadsheetId = null) {
+      if (!this.spreadsheets.has(spreadsheetId)) {
+        var spreadsheet = spreadsheetId !== null ? SpreadsheetApp.openById(spreadsheetId) : SpreadsheetApp.getActiveSpreadsheet();
+        if (spreadsheet === null) {
+          throw new Error("No active spreadsheet: set GSTable.configure({ spreadsheetId }) or override spreadsheetId()");
+        }
+        this.spreadsheets.set(spreadsheetId, spreadsheet);
+      }
+      return this.spreadsheets.get(spreadsheetId);
+    }
+
+    /**
+     * Returns the sheet with the given name.
+     * @param {string} name - The sheet name.
+     * @param {string|null} [spreadsheetId=null] - The spreadsheet id, null for the active spreadsheet.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} - The sheet, or null if it does not exist.
+     */
+    getSheet(name, spreadsheetId = null) {
+      return this.spreadsheet(spreadsheetId).getSheetByName(name);
+    }
+
+    /**
+     * Creates an empty sheet.
+     * @param {string} name - The sheet name.
+     * @param {string|null} [spreadsheetId=null] - The spreadsheet id, null for the active spreadsheet.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet} - The new sheet.
+     */
+    createSheet(name, spreadsheetId = null) {
+      return this.spreadsheet(spreadsheetId).insertSheet(name);
+    }
+
+    /**
+     * Returns the number of the last row with content, 0 for an empty sheet.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @returns {number} - The last row.
+     */
+    lastRow(sheet) {
+      return sheet.getLastRow();
+    }
+
+    /**
+     * Returns the number of the last column with content, 0 for an empty sheet.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @returns {number} - The last column.
+     */
+    lastColumn(sheet) {
+      return sheet.getLastColumn();
+    }
+
+    /**
+     * Reads the first row of the sheet.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @returns {Array<string>} - The headers, empty for an empty sheet.
+     */
+    readHeader(sheet) {
+      return sheet.getLastColumn() > 0 ? sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0] : [];
+    }
+
+    /**
+     * Reads a block of cells.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @param {number} row - The first row.
+     * @param {number} column - The first column.
+     * @param {number} numRows - The number of rows.
+     * @param {number} numColumns - The number of columns.
+     * @returns {Array<Array>} - The values, row by row.
+     */
+    readRange(sheet, row, column, numRows, numColumns) {
+      return sheet.getRange(row, column, numRows, numColumns).getValues();
+    }
+
+    /**
+     * Reads every cell with content, headers included.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @returns {Array<Array>} - The values, row by row.
+     */
+    readAll(sheet) {
+      return sheet.getDataRange().getValues();
+    }
+
+    /**
+     * Adds rows after the last row of the sheet.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @param {Array<Array>} rows - The rows to add.
+     * @returns {number} - The number of the first added row.
+     */
+    append(sheet, rows) {
+      if (rows.length === 1) {
+        sheet.appendRow(rows[0]);
+        return sheet.getLastRow();
+      }
+      var firstRow = sheet.getLastRow() + 1;
+      sheet.getRange(firstRow, 1, rows.length, rows[0].length).setValues(rows);
+      return firstRow;
+    }
+
+    /**
+     * Writes a block of cells.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @param {number} row - The first row.
+     * @param {number} column - The first column.
+     * @param {Array<Array>} values - The values, row by row, all rows of the same length.
+     */
+    writeRange(sheet, row, column, values) {
+      sheet.getRange(row, column, values.length, values[0].length).setValues(values);
+    }
+
+    /**
+     * Deletes rows, moving the following ones up.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @param {number} row - The first row to delete.
+     * @param {number} count - The number of rows to delete.
+     */
+    deleteRows(sheet, row, count) {
+      sheet.deleteRows(row, count);
+    }
+
+    /**
+     * Deletes a column, moving the following ones left.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @param {number} column - The column to delete.
+     */
+    deleteColumn(sheet, column) {
+      sheet.deleteColumn(column);
+    }
+
+    /**
+     * Hides a column.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @param {number} column - The column to hide.
+     */
+    hideColumn(sheet, column) {
+      sheet.hideColumns(column);
+    }
+
+    /**
+     * Freezes the header row and makes it bold.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     */
+    freezeHeader(sheet) {
+      sheet.setFrozenRows(1);
+      sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).setFontWeight("bold");
+    }
+
+    /**
+     * Sets the number format of a column, header excluded.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @param {number} column - The column.
+     * @param {string} format - The number format, like "0.00" or "@" for plain text.
+     */
+    setColumnFormat(sheet, column, format) {
+      this.columnBody(sheet, column).setNumberFormat(format);
+    }
+
+    /**
+     * Sets the data validation of a column, header excluded. Invalid values are rejected.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @param {number} column - The column.
+     * @param {Object} rule - The rule, see `GSTable.columnValidation()`.
+     */
+    setColumnValidation(sheet, column, rule) {
+      var builder = SpreadsheetApp.newDataValidation().setAllowInvalid(false);
+      if (Array.isArray(rule.values)) {
+        builder.requireValueInList(rule.values.map((value) => typeof value === "boolean" ? String(value).toUpperCase() : String(value)), true);
+      } else if (rule.sheet) {
+        builder.requireValueInRange(this.columnBody(rule.sheet, rule.column), true);
+      } else if (rule.number) {
+        if (typeof rule.min === "number" && typeof rule.max === "number") builder.requireNumberBetween(rule.min, rule.max);
+        else if (typeof rule.min === "number") builder.requireNumberGreaterThanOrEqualTo(rule.min);
+        else if (typeof rule.max === "number") builder.requireNumberLessThanOrEqualTo(rule.max);
+        else builder.requireNumberBetween(-Number.MAX_VALUE, Number.MAX_VALUE);
+      } else if (rule.date) {
+        builder.requireDate();
+      } else if (rule.email) {
+        builder.requireTextIsEmail();
+      } else if (rule.url) {
+        builder.requireTextIsUrl();
+      } else {
+        return;
+      }
+      this.columnBody(sheet, column).setDataValidation(builder.build());
+    }
+
+    /**
+     * Protects a whole column, replacing the protection with the same description.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @param {number} column - The column.
+     * @param {string} description - The description of the protection.
+     * @param {boolean} [warningOnly=true] - True to only warn whoever edits the column, false
+     * to let only the owner of the spreadsheet edit it.
+     */
+    protectColumn(sheet, column, description, warningOnly = true) {
+      sheet.getProtections(SpreadsheetApp.ProtectionType.RANGE)
+        .filter((protection) => protection.getDescription() === description)
+        .forEach((protection) => protection.remove());
+
+      var protection = sheet.getRange(1, column, sheet.getMaxRows(), 1).protect().setDescription(description);
+      if (warningOnly) {
+        protection.setWarningOnly(true);
+      } else {
+        protection.removeEditors(protection.getEditors());
+        if (protection.canDomainEdit()) protection.setDomainEdit(false);
+      }
+    }
+
+    /**
+     * Describes the range changed by an edit event.
+     * @param {Object} e - The event received by `onEdit`.
+     * @returns {Object} - The `sheetName`, `spreadsheetId`, `row`, `numRows`, `column` and
+     * `numColumns` of the range, the `oldValue` of a single cell and the email of the editor
+     * (`user`, null when the trigger cannot know it).
+     */
+    editedRange(e) {
+      var range = e.range;
+      var email = e.user ? e.user.getEmail() : "";
+      return {
+        sheetName: range.getSheet().getName(),
+        spreadsheetId: e.source ? e.source.getId() : null,
+        row: range.getRow(),
+        numRows: range.getNumRows(),
+        column: range.getColumn(),
+        numColumns: range.getNumColumns(),
+        oldValue: e.oldValue,
+        user: email !== "" ? email : null,
+      };
+    }
+
+    /**
+     * Marks the cells of a row with errors, and unmarks those marked before that are now valid.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @param {number} row - The row.
+     * @param {Array<string|null>} messages - The error of each cell from the first column, null for valid cells.
+     * @param {Object} style - Whether to add a `note` and which `background` color to set.
+     */
+    markRow(sheet, row, messages, style) {
+      var prefix = "GSTable: ";
+      var range = sheet.getRange(row, 1, 1, messages.length);
+      var notes = range.getNotes()[0];
+      var backgrounds = range.getBackgrounds()[0];
+
+      messages.forEach((message, index) => {
+        var ours = String(notes[index]).startsWith(prefix) || (style.background && backgrounds[index] === style.background);
+        if (message !== null) {
+          if (style.note) notes[index] = prefix + message;
+          if (style.background) backgrounds[index] = style.background;
+        } else if (ours) {
+          if (String(notes[index]).startsWith(prefix)) notes[index] = "";
+          if (style.background && backgrounds[index] === style.background) backgrounds[index] = null;
+        }
+      });
+      range.setNotes([notes]);
+      range.setBackgrounds([backgrounds]);
+    }
+
+    /**
+     * Returns the cells of a column below the header, up to the last row of the sheet.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @param {number} column - The column.
+     * @returns {GoogleAppsScript.Spreadsheet.Range} - The range.
+     */
+    columnBody(sheet, column) {
+      return sheet.getRange(2, column, Math.max(sheet.getMaxRows() - 1, 1), 1);
+    }
+
+    /**
+     * Returns the Drive folder with the given name, creating it in the root folder if missing.
+     * @param {string} name - The folder name.
+     * @returns {string} - The folder id.
+     */
+    folder(name) {
+      if (!this.folders) this.folders = new Map();
+      if (!this.folders.has(name)) {
+        var folders = DriveApp.getFoldersByName(name);
+        var folder = folders.hasNext() ? folders.next() : DriveApp.createFolder(name);
+        this.folders.set(name, folder.getId());
+      }
+      return this.folders.get(name);
+    }
+
+    /**
+     * Uploads a file.
+     * @param {string} folderId - The id of the folder, see `folder()`.
+     * @param {GoogleAppsScript.Base.Blob} blob - The content of the file, with its name.
+     * @returns {string} - The id of the new file.
+     */
+    createFile(folderId, blob) {
+      return DriveApp.getFolderById(folderId).createFile(blob).getId();
+    }
+
+    /**
+     * Reads the content of a file.
+     * @param {string} fileId - The file id.
+     * @returns {GoogleAppsScript.Base.Blob} - The content.
+     */
+    fileBlob(fileId) {
+      return DriveApp.getFileById(fileId).getBlob();
+    }
+
+    /**
+     * Returns the URL of a file.
+     * @param {string} fileId - The file id.
+     * @returns {string} - The URL.
+     */
+    fileUrl(fileId) {
+      return DriveApp.getFileById(fileId).getUrl();
+    }
+
+    /**
+     * Returns the name of a file.
+     * @param {string} fileId - The file id.
+     * @returns {string} - The name.
+     */
+    fileName(fileId) {
+      return DriveApp.getFileById(fileId).getName();
+    }
+
+    /**
+     * Moves a file to the trash.
+     * @param {string} fileId - The file id.
+     */
+    trashFile(fileId) {
+      DriveApp.getFileById(fileId).setTrashed(true);
+    }
+
+    /**
+     * Applies the pending changes.
+     */
+    flush() {
+      SpreadsheetApp.flush();
+    }
+
+    /**
+     * Returns the email of the user running the script.
+     * @returns {string|null} - The email, or null if it is not available.
+     */
+    activeUser() {
+      var active_user = Session.getActiveUser();
+      return active_user !== null ? active_user.getEmail() : null;
+    }
+
+    /**
+     * Acquires the script lock.
+     * @param {number} timeout - The maximum wait in milliseconds.
+     * @returns {Function} - A function that releases the lock.
+     *
+     * @throws {Error} If the lock cannot be acquired in time.
+     */
+    lock(timeout) {
+      var lock = LockService.getScriptLock();
+      lock.waitLock(timeout);
+      return () => lock.releaseLock();
+    }
+
+    /**
+     * Writes a message to the execution log.
+     * @param {string} message - The message.
+     */
+    log(message) {
+      Logger.log(message);
+    }
+}
+
+/**
+ * Storage adapter keeping the sheets in memory, to run the classes outside Apps Script.
+ *
+ * @description Each sheet is an object `{ name, values }` where `values` holds the rows as
+ * arrays; the sheets of the default spreadsheet are available in the `sheets` property, by
+ * name, and those of the other spreadsheets in `spreadsheets[spreadsheetId]`. Drive is replaced
+ * by `folders` (ids by name) and `files` (`{ id, name, folder, blob, trashed }` by id). The
+ * formatting of a sheet is recorded in its `frozenRows`, `boldHeader`, `formats` and
+ * `validations` (by column) and `protections` properties, but never enforced, and the cells
+ * marked by `markRow` in `marks` (by "row:column"). Edit events are plain objects like
+ * `{ range: { sheetName, row, numRows, column, numColumns }, oldValue, user }`. The methods behave
+ * like those of `GSTableSheetsAdapter`. Nothing is shared between instances, so a test can
+ * start from a clean state with a new adapter.
+ *
+ * @example
+ * const memory = new GSTableMemoryAdapter({ Item: [["id", "name"], ["A1", "pen"]] }, 'tester@example.com');
+ * GSTable.useStorage(memory);
+ * Item.findById('A1').name._value; // "pen"
+ */
+class GSTableMemoryAdapter {
+    /**
+     * Constructor for GSTableMemoryAdapter class.
+     * @constructor
+     * @param {Object<string, Array<Array>>} [sheets={}] - The initial rows of each sheet, by name.
+     * @param {string|null} [user="user@localhost"] - The email returned as active user.
+     */
+    constructor(sheets = {}, user = "user@localhost") {
+      this.sheets = {};
+      this.spreadsheets = {};
+      this.folders = {};
+      this.files = {};
+      this.user = user;
+      this.logs = [];
+      Object.keys(sheets).forEach((name) => {
+        this.createSheet(name).values = sheets[name].map((row) => [...row]);
+      });
+    }
+
+    /**
+     * Returns the sheets of a spreadsheet, creating an empty spreadsheet if needed.
+     * @param {string|null} [spreadsheetId=null] - The spreadsheet id, null for the default spreadsheet.
+     * @returns {Object<string, Object>} - The sheets, by name.
+     */
+    spreadsheet(spreadsheetId = null) {
+      if (spreadsheetId === null) return this.sheets;
+      if (!this.spreadsheets.hasOwnProperty(spreadsheetId)) this.spreadsheets[spreadsheetId] = {};
+      return this.spreadsheets[spreadsheetId];
+    }
+
+    /**
+     * Returns the sheet with the given name.
+     * @param {string} name - The sheet name.
+     * @param {string|null} [spreadsheetId=null] - The spreadsheet id, null for the default spreadsheet.
+     * @returns {Object|null} - The sheet, or null if it does not exist.
+     */
+    getSheet(name, spreadsheetId = null) {
+      var sheets = this.spreadsheet(spreadsheetId);
+      return sheets.hasOwnProperty(name) ? sheets[name] : null;
+    }
+
+    /**
+     * Creates an empty sheet.
+     * @param {string} name - The sheet name.
+     * @param {string|null} [spreadsheetId=null] - The spreadsheet id, null for the default spreadsheet.
+     * @returns {Object} - The new sheet.
+     */
+    createSheet(name, spreadsheetId = null) {
+      var sheets = this.spreadsheet(spreadsheetId);
+      sheets[name] = { name, values: [] };
+      return sheets[name];
+    }
+
+    /**
+     * Returns the number of the last row, 0 for an empty sheet.
+     * @param {Object} sheet - The sheet.
+     * @returns {number} - The last row.
+     */
+    lastRow(sheet) {
+      return sheet.values.length;
+    }
+
+    /**
+     * Returns the number of the last column, 0 for an empty sheet.
+     * @param {Object} sheet - The sheet.
+     * @returns {number} - The length of the longest row.
+     */
+    lastColumn(sheet) {
+      return sheet.values.reduce((max, row) => Math.max(max, row.length), 0);
+    }
+
+    /**
+     * Reads the first row of the sheet.
+     * @param {Object} sheet - The sheet.
+     * @returns {Array<string>} - The headers, empty for an empty sheet.
+     */
+    readHeader(sheet) {
+      return this.lastColumn(sheet) > 0 ? this.readRange(sheet, 1, 1, 1, this.lastColumn(sheet))[0] : [];
+    }
+
+    /**
+     * Reads a block of cells; missing cells read as "" like in Google Sheets.
+     * @param {Object} sheet - The sheet.
+     * @param {number} row - The first row.
+     * @param {number} column - The first column.
+     * @param {number} numRows - The number of rows.
+     * @param {number} numColumns - The number of columns.
+     * @returns {Array<Array>} - The values, row by row.
+     */
+    readRange(sheet, row, column, numRows, numColumns) {
+      var values = [];
+      for (var i = 0; i < numRows; i++) {
+        var current = sheet.values[row - 1 + i] || [];
+        var cells = [];
+        for (var j = 0; j < numColumns; j++) {
+          var cell = current[column - 1 + j];
+          // Empty cells read as "" like in Google Sheets.
+          cells.push(typeof cell === "undefined" || cell === null ? "" : cell);
+        }
+        values.push(cells);
+      }
+      return values;
+    }
+
+    /**
+     * Reads every cell, headers included.
+     * @param {Object} sheet - The sheet.
+     * @returns {Array<Array>} - The values, row by row, all rows of the same length.
+     */
+    readAll(sheet) {
+      return this.readRange(sheet, 1, 1, this.lastRow(sheet), this.lastColumn(sheet));
+    }
+
+    /**
+     * Adds rows after the last row of the sheet.
+     * @param {Object} sheet - The sheet.
+     * @param {Array<Array>} rows - The rows to add, copied.
+     * @returns {number} - The number of the first added row.
+     */
+    append(sheet, rows) {
+      var firstRow = sheet.values.length + 1;
+      rows.forEach((row) => sheet.values.push([...row]));
+      return firstRow;
+    }
+
+    /**
+     * Writes a block of cells, adding rows and cells as needed.
+     * @param {Object} sheet - The sheet.
+     * @param {number} row - The first row.
+     * @param {number} column - The first column.
+     * @param {Array<Array>} values - The values, row by row.
+     */
+    writeRange(sheet, row, column, values) {
+      values.forEach((cells, i) => {
+        while (sheet.values.length < row + i) sheet.values.push([]);
+        var current = sheet.values[row - 1 + i];
+        cells.forEach((cell, j) => {
+          while (current.length < column - 1 + j) current.push("");
+          current[column - 1 + j] = cell;
+        });
+      });
+    }
+
+    /**
+     * Deletes rows, moving the following ones up.
+     * @param {Object} sheet - The sheet.
+     * @param {number} row - The first row to delete.
+     * @param {number} count - The number of rows to delete.
+     */
+    deleteRows(sheet, row, count) {
+      sheet.values.splice(row - 1, count);
+    }
+
+    /**
+     * Deletes a column, moving the following ones left.
+     * @param {Object} sheet - The sheet.
+     * @param {number} column - The column to delete.
+     */
+    deleteColumn(sheet, column) {
+      sheet.values.forEach((row) => row.splice(column - 1, 1));
+    }
+
+    /**
+     * Records a hidden column in the `hidden` property of the sheet.
+     * @param {Object} sheet - The sheet.
+     * @param {number} column - The column to hide.
+     */
+    hideColumn(sheet, column) {
+      sheet.hidden = (sheet.hidden || []).concat([column]);
+    }
+
+    /**
+     * Records a frozen, bold header in the `frozenRows` and `boldHeader` properties of the sheet.
+     * @param {Object} sheet - The sheet.
+     */
+    freezeHeader(sheet) {
+      sheet.frozenRows = 1;
+      sheet.boldHeader = true;
+    }
+
+    /**
+     * Records the number format of a column in the `formats` property of the sheet.
+     * @param {Object} sheet - The sheet.
+     * @param {number} column - The column.
+     * @param {string} format - The number format.
+     */
+    setColumnFormat(sheet, column, format) {
+      sheet.formats = Object.assign({}, sheet.formats, { [column]: format });
+    }
+
+    /**
+     * Records the data validation of a column in the `validations` property of the sheet.
+     * The rule is not enforced.
+     * @param {Object} sheet - The sheet.
+     * @param {number} column - The column.
+     * @param {Object} rule - The rule, see `GSTable.columnValidation()`.
+     */
+    setColumnValidation(sheet, column, rule) {
+      sheet.validations = Object.assign({}, sheet.validations, { [column]: rule });
+    }
+
+    /**
+     * Records the protection of a column in the `protections` property of the sheet,
+     * replacing the one with the same description. The protection is not enforced.
+     * @param {Object} sheet - The sheet.
+     * @param {number} column - The column.
+     * @param {string} description - The description of the protection.
+     * @param {boolean} [warningOnly=true] - Whether editing only shows a warning.
+     */
+    protectColumn(sheet, column, description, warningOnly = true) {
+      sheet.protections = (sheet.protections || []).filter((protection) => protection.description !== description)
+        .concat([{ column, description, warningOnly }]);
+    }
+
+    /**
+     * Describes the range changed by a fake edit event.
+     * @param {Object} e - The event, like `{ range: { sheetName, row, numRows, column, numColumns }, oldValue, user }`.
+     * @returns {Object} - The range, in the format of `GSTableSheetsAdapter.editedRange()`.
+     */
+    editedRange(e) {
+      var range = e.range || {};
+      return {
+        sheetName: range.sheetName,
+        spreadsheetId: range.spreadsheetId || null,
+        row: range.row,
+        numRows: range.numRows || 1,
+        column: range.column || 1,
+        numColumns: range.numColumns || 1,
+        oldValue: e.oldValue,
+        user: e.user || null,
+      };
+    }
+
+    /**
+     * Records the marked cells of a row in the `marks` property of the sheet, by "row:column".
+     * @param {Object} sheet - The sheet.
+     * @param {number} row - The row.
+     * @param {Array<string|null>} messages - The error of each cell from the first column, null for valid cells.
+     * @param {Object} style - Whether to add a `note` and which `background` color to set.
+     */
+    markRow(sheet, row, messages, style) {
+      sheet.marks = sheet.marks || {};
+      messages.forEach((message, index) => {
+        var cell = row + ":" + (index + 1);
+        if (message !== null) {
+          sheet.marks[cell] = { note: style.note ? message : null, background: style.background || null };
+        } else {
+          delete sheet.marks[cell];
+        }
+      });
+    }
+
+    /**
+     * Returns the folder with the given name, recording it in `folders` if missing.
+     * @param {string} name - The folder name.
+     * @returns {string} - The folder id, like "folder-1".
+     */
+    folder(name) {
+      if (!this.folders.hasOwnProperty(name)) this.folders[name] = "folder-" + (Object.keys(this.folders).length + 1);
+      return this.folders[name];
+    }
+
+    /**
+     * Records a file in `files`, keeping the Blob as its content.
+     * @param {string} folderId - The id of the folder, see `folder()`.
+     * @param {Object} blob - The content, named after its `getName()` when it has one.
+     * @returns {string} - The id of the new file, like "file-1".
+     */
+    createFile(folderId, blob) {
+      var id = "file-" + (Object.keys(this.files).length + 1);
+      var name = typeof blob.getName === "function" ? blob.getName() : id;
+      this.files[id] = { id, name, folder: folderId, blob, trashed: false };
+      return id;
+    }
+
+    /**
+     * Returns the record of a file.
+     * @param {string} fileId - The file id.
+     * @returns {Object} - The `{ id, name, folder, blob, trashed }` record.
+     *
+     * @throws {Error} If there is no file with that id.
+     */
+    file(fileId) {
+      if (!this.files.hasOwnProperty(fileId)) throw new Error("No file with id '" + fileId + "'");
+      return this.files[fileId];
+    }
+
+    /**
+     * Returns the Blob given to `createFile()`.
+     * @param {string} fileId - The file id.
+     * @returns {Object} - The content.
+     */
+    fileBlob(fileId) {
+      return this.file(fileId).blob;
+    }
+
+    /**
+     * Returns a fake URL for a file.
+     * @param {string} fileId - The file id.
+     * @returns {string} - The URL, like "memory://files/file-1".
+     */
+    fileUrl(fileId) {
+      return "memory://files/" + fileId;
+    }
+
+    /**
+     * Returns the name of a file.
+     * @param {string} fileId - The file id.
+     * @returns {string} - The name.
+     */
+    fileName(fileId) {
+      return this.file(fileId).name;
+    }
+
+    /**
+     * Marks a file as `trashed`.
+     * @param {string} fileId - The file id.
+     */
+    trashFile(fileId) {
+      this.file(fileId).trashed = true;
+    }
+
+    /**
+     * Does nothing: every change is applied immediately.
+     */
+    flush() {}
+
+    /**
+     * Returns the user given to the constructor.
+     * @returns {string|null} - The email.
+     */
+    activeUser() {
+      return this.user;
+    }
+
+    /**
+     * Pretends to acquire the script lock: a Node process runs one execution at a time.
+     * @param {number} timeout - The maximum wait in milliseconds, ignored.
+     * @returns {Function} - A function that releases the lock.
+     */
+    lock(timeout) {
+      return () => {};
+    }
+
+    /**
+     * Records a message in the `logs` property.
+     * @param {string} message - The message.
+     */
+    log(message) {
+      this.logs.push(message);
+    }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { GSTable, GSTableQuery, GSTableGroup, GSTableFile, GSTableRouter, GSTableAudit, GSTableSheetsAdapter, GSTableMemoryAdapter, ValidationError, IntegrityError, ConcurrencyError };
 }
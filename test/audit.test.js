@@ -0,0 +1,64 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter } = require("../GSTable.js");
+
+class Contract extends GSTable {
+  constructor(name) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+  }
+
+  static audited() {
+    return true;
+  }
+}
+
+let memory;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter();
+  GSTable.useStorage(memory);
+});
+
+test("audited writes record the rows before and after", () => {
+  const contract = new Contract("draft");
+  contract.persist();
+  contract.setValue("name", "signed");
+  contract.persist();
+  contract.remove();
+
+  assert.equal(memory.sheets.GSTableAudit.values.length, 4);
+  assert.equal(memory.sheets.Contract.values.length, 1);
+});
+
+test("audited deletes do not fail on a row missing from the sheet", () => {
+  const contract = new Contract("draft");
+  contract.persist();
+  const ghost = Contract.findById(contract.id._value);
+  ghost.row_number = 9;
+
+  const report = Contract.deleteEntities([ghost]);
+  assert.deepEqual(report.removed, [ghost]);
+  assert.deepEqual(report.failed, []);
+});
+
+test("revertTo inserts a removed entity again with its creation stamps", () => {
+  new Contract("draft").persist();
+  memory.sheets.Contract.values[1][1] = new Date("2024-05-01T08:00:00Z");
+  GSTable.clearCache();
+  const contract = Contract.findAll()[0];
+  contract.setValue("name", "signed");
+  contract.persist();
+  const [, signed] = contract.history();
+  contract.remove();
+
+  memory.user = "reviewer@example.com";
+  const reverted = Contract.revertTo(contract.id._value, signed.id._value);
+
+  const stored = Contract.findById(contract.id._value);
+  assert.equal(reverted.id._value, contract.id._value);
+  assert.equal(stored.name._value, "signed");
+  assert.equal(stored.created._value.toISOString(), "2024-05-01T08:00:00.000Z");
+  assert.equal(stored.created_by._value, "user@localhost");
+  assert.equal(stored.last_modified_by._value, "reviewer@example.com");
+});
@@ -0,0 +1,77 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter } = require("../GSTable.js");
+
+class Item extends GSTable {
+  constructor(name, quantity) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+    this.quantity = GSTable.COLUMN().NUMBER(quantity);
+  }
+}
+
+let memory;
+let reads;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter({}, "tester@example.com");
+  GSTable.useStorage(memory);
+  reads = {};
+  const readAll = memory.readAll;
+  memory.readAll = function (sheet) {
+    reads[sheet.name] = (reads[sheet.name] || 0) + 1;
+    return readAll.call(this, sheet);
+  };
+});
+
+test("the sheet is read once per execution", () => {
+  new Item("pen", 10).persist();
+  new Item("cup", 3).persist();
+  GSTable.clearCache();
+  reads = {};
+
+  assert.equal(Item.findAll().length, 2);
+  assert.equal(Item.findAll().length, 2);
+  assert.ok(Item.findById(Item.findAll()[0].id._value));
+  assert.equal(reads.Item, 1);
+});
+
+test("getTableInfo synchronizes the headers once", () => {
+  const lookups = [];
+  const getSheet = memory.getSheet.bind(memory);
+  memory.getSheet = (name) => {
+    lookups.push(name);
+    return getSheet(name);
+  };
+
+  assert.equal(Item.getTableInfo(), Item.getTableInfo());
+  assert.deepEqual(lookups, ["Item"]);
+});
+
+test("writes keep the snapshot up to date without reading the sheet again", () => {
+  const pen = new Item("pen", 10);
+  pen.persist();
+  assert.equal(Item.findAll().length, 1);
+  reads = {};
+
+  const cup = new Item("cup", 3);
+  cup.persist();
+  pen.quantity._value = 4;
+  pen.persist();
+  Item.saveAll([new Item("ink", 1), new Item("pad", 2)]);
+  cup.remove();
+
+  assert.deepEqual(Item.findAll().map((item) => [item.name._value, item.quantity._value]), [["pen", 4], ["ink", 1], ["pad", 2]]);
+  assert.equal(reads.Item, undefined);
+  assert.deepEqual(Item.getSheetValues(), memory.sheets.Item.values);
+});
+
+test("clearCache drops the snapshot", () => {
+  new Item("pen", 10).persist();
+  Item.findAll();
+  memory.sheets.Item.values[1][memory.sheets.Item.values[0].indexOf("name")] = "edited";
+
+  assert.equal(Item.findAll()[0].name._value, "pen");
+  Item.clearCache();
+  assert.equal(Item.findAll()[0].name._value, "edited");
+});
@@ -0,0 +1,142 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter, IntegrityError } = require("../GSTable.js");
+
+const calls = [];
+
+class Order extends GSTable {
+  constructor(code) {
+    super();
+    this.code = GSTable.COLUMN().STRING(code);
+  }
+}
+
+class OrderLine extends GSTable {
+  constructor(order, product) {
+    super();
+    this.order = GSTable.COLUMN().FOREIGNKEY(order, Order, true, { onDelete: "cascade" });
+    this.product = GSTable.COLUMN().STRING(product);
+  }
+
+  beforeRemove() {
+    calls.push("before " + this.product._value);
+    return this.product._value !== "locked";
+  }
+
+  afterRemove() {
+    calls.push("after " + this.product._value);
+  }
+}
+
+class Category extends GSTable {
+  constructor(name, parent) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+    this.parent = GSTable.COLUMN().FOREIGNKEY(parent, Category, false, { onDelete: "cascade" });
+  }
+
+  beforeRemove() {
+    calls.push("before " + this.name._value);
+  }
+
+  afterRemove() {
+    calls.push("after " + this.name._value);
+  }
+}
+
+GSTable.register(Order, OrderLine, Category);
+
+let memory;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter();
+  GSTable.useStorage(memory);
+  calls.length = 0;
+});
+
+const order = (code, ...products) => {
+  const parent = new Order(code);
+  parent.persist();
+  OrderLine.saveAll(products.map((product) => new OrderLine(parent.id._value, product)));
+  return parent;
+};
+
+test("remove runs the hooks and listeners of the entities removed by a cascade", () => {
+  const parent = order("A1", "pen", "ink");
+  const notified = [];
+  const off = GSTable.on("remove", OrderLine, (line) => notified.push(line.product._value));
+  try {
+    assert.equal(parent.remove(), true);
+  } finally {
+    off();
+  }
+
+  assert.deepEqual(calls, ["before pen", "before ink", "after pen", "after ink"]);
+  assert.deepEqual(notified, ["pen", "ink"]);
+  assert.equal(OrderLine.findAll().length, 0);
+});
+
+test("removeAll runs the hooks of the entities removed by a cascade", () => {
+  const first = order("A1", "pen");
+  const second = order("A2", "ink");
+
+  const report = Order.removeAll([first, second]);
+  assert.deepEqual(report.removed, [first, second]);
+  assert.deepEqual(calls, ["before pen", "before ink", "after pen", "after ink"]);
+});
+
+test("a cascaded beforeRemove returning false stops the whole removal", () => {
+  const parent = order("A1", "pen", "locked");
+
+  assert.throws(() => parent.remove(), (error) => {
+    assert.ok(error instanceof IntegrityError);
+    assert.match(error.message, /has been cancelled/);
+    assert.equal(error.references[0].entity.product._value, "locked");
+    return true;
+  });
+  assert.equal(Order.findAll().length, 1);
+  assert.equal(OrderLine.findAll().length, 2);
+  assert.ok(!calls.some((call) => call.startsWith("after")));
+});
+
+test("entities of the same class removed by a cascade are notified once", () => {
+  const root = new Category("root");
+  root.persist();
+  const child = new Category("child", root.id._value);
+  child.persist();
+
+  root.remove();
+  assert.deepEqual(calls, ["before root", "before child", "after child", "after root"]);
+
+  calls.length = 0;
+  const top = new Category("top");
+  top.persist();
+  new Category("leaf", top.id._value).persist();
+  Category.removeAll([top]);
+  assert.deepEqual(calls, ["before top", "before leaf", "after leaf", "after top"]);
+});
+
+test("removing an entity whose row is already gone returns false without hooks", () => {
+  const root = new Category("root");
+  root.persist();
+  const notified = [];
+  const off = GSTable.on("remove", Category, (category) => notified.push(category.name._value));
+  memory.sheets.Category.values.splice(1, 1);
+
+  try {
+    assert.equal(root.remove(), false);
+  } finally {
+    off();
+  }
+  assert.equal(root.row_number, 0);
+  assert.deepEqual(calls, ["before root"]);
+  assert.deepEqual(notified, []);
+});
+
+test("remove does not create the sheets of referencing classes", () => {
+  const parent = new Order("A1");
+  parent.persist();
+
+  assert.equal(parent.remove(), true);
+  assert.equal(memory.getSheet("OrderLine"), null);
+});
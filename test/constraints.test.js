@@ -0,0 +1,58 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter, ValidationError } = require("../GSTable.js");
+
+class Product extends GSTable {
+  constructor(sku, quantity, color, note) {
+    super();
+    this.sku = GSTable.COLUMN().STRING(sku, true, { pattern: /^[A-Z]{2}\d{4}$/ });
+    this.quantity = GSTable.COLUMN().NUMBER(quantity, true, { min: 0, max: 1000 });
+    this.color = GSTable.COLUMN().STRING(color, false, { values: ["red", "blue"] });
+    this.note = GSTable.COLUMN().STRING(note, false, {
+      minLength: 2,
+      maxLength: 5,
+      validate: (value, entity) => value !== entity.sku._value || "must differ from the sku",
+    });
+  }
+}
+
+let memory;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter({}, "tester@example.com");
+  GSTable.useStorage(memory);
+});
+
+const rules = (entity) => entity.validate().map((error) => error.field + ":" + error.rule);
+
+test("validate() accepts values within the constraints", () => {
+  assert.deepEqual(rules(new Product("AB1234", 0, "red", "ok")), []);
+  assert.deepEqual(rules(new Product("AB1234", 1000)), []);
+});
+
+test("validate() reports every violated option", () => {
+  assert.deepEqual(rules(new Product("ab12", -1, "green", "x")), ["sku:pattern", "quantity:min", "color:values", "note:minLength"]);
+  assert.deepEqual(rules(new Product("AB1234", 1001, "blue", "too long")), ["quantity:max", "note:maxLength"]);
+});
+
+test("the custom validator receives the entity and its message is reported", () => {
+  const errors = new Product("AB12", 5, "", "AB12").validate();
+  assert.deepEqual(errors.map((error) => [error.field, error.rule]), [["sku", "pattern"], ["note", "validate"]]);
+  assert.equal(errors[1].message, "must differ from the sku");
+  assert.equal(errors[1].value, "AB12");
+});
+
+test("empty optional values skip the constraints", () => {
+  assert.deepEqual(rules(new Product("AB1234", 3, "", "")), []);
+});
+
+test("persist throws a ValidationError and writes nothing", () => {
+  const product = new Product("AB1234", 5000);
+  assert.throws(() => product.persist(), (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.deepEqual(error.errors.map((wrong) => wrong.rule), ["max"]);
+    return true;
+  });
+  assert.equal(memory.sheets.Product.values.length, 1);
+  assert.equal(product.row_number, 0);
+});
@@ -0,0 +1,84 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter } = require("../GSTable.js");
+
+class Item extends GSTable {
+  constructor(sku, name, quantity) {
+    super();
+    this.sku = GSTable.COLUMN().STRING(sku, true, { unique: true });
+    this.name = GSTable.COLUMN().STRING(name, true, { label: "Name" });
+    this.quantity = GSTable.COLUMN().NUMBER(quantity, true, { min: 0 });
+  }
+}
+
+let memory;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter({}, "tester@example.com");
+  GSTable.useStorage(memory);
+});
+
+const rows = () => Item.findAll().map((item) => [item.sku._value, item.name._value, item.quantity._value]);
+
+test("importCsv reports each line and writes the valid ones", () => {
+  const csv = [
+    "sku,Product,quantity,color",
+    "X1,pen,10,blue",
+    "X2,\"cup, large\",-1,red",
+    "",
+    "X1,ink,3,black",
+    "X3,\"pad\nA5\",2,",
+  ].join("\n");
+
+  const report = Item.importCsv(csv, { mapping: { "Product": "name" } });
+  assert.equal(report.inserted, 2);
+  assert.equal(report.rejected, 2);
+  assert.deepEqual(report.ignored, ["color"]);
+  assert.deepEqual(report.lines.map((line) => [line.line, line.status]), [[2, "inserted"], [3, "rejected"], [5, "rejected"], [6, "inserted"]]);
+  assert.deepEqual(report.lines[1].errors.map((error) => error.field + ":" + error.rule), ["quantity:min"]);
+  assert.deepEqual(report.lines[2].errors.map((error) => error.rule), ["unique"]);
+  assert.notEqual(report.lines[0].id, "");
+  assert.deepEqual(rows(), [["X1", "pen", 10], ["X3", "pad\nA5", 2]]);
+});
+
+test("a dry run reports the same lines without writing anything", () => {
+  new Item("X1", "pen", 10).persist();
+  const csv = "sku,Name,quantity\nX1,pen,4\nX2,cup,x\nX3,pad,1\nX3,ink,1\n";
+
+  const report = Item.importCsv(csv, { mode: "upsert", key: "sku", dryRun: true });
+  assert.deepEqual(report.lines.map((line) => line.status), ["updated", "rejected", "inserted", "rejected"]);
+  assert.deepEqual([report.inserted, report.updated, report.rejected], [1, 1, 2]);
+  assert.deepEqual(rows(), [["X1", "pen", 10]]);
+});
+
+test("upsert updates the matching rows and only the columns of the text", () => {
+  new Item("X1", "pen", 10).persist();
+
+  const report = Item.importCsv("sku;quantity\nX1;4\nX2;1", { mode: "upsert", key: "sku", delimiter: ";" });
+  assert.deepEqual(report.lines.map((line) => line.status), ["updated", "rejected"]);
+  assert.deepEqual(report.lines[1].errors.map((error) => error.field + ":" + error.rule), ["name:required"]);
+  assert.deepEqual(rows(), [["X1", "pen", 4]]);
+});
+
+test("upsert needs the key column and unknown modes are refused", () => {
+  assert.throws(() => Item.importCsv("name\npen", { mode: "upsert", key: "sku" }), /no 'sku' column/);
+  assert.throws(() => Item.importCsv("name\npen", { mode: "merge" }), /Unknown import mode/);
+});
+
+test("exportCsv and exportJson write the entities back", () => {
+  Item.saveAll([new Item("X1", "pen, blue", 10), new Item("X2", "say \"hi\"", 0)]);
+
+  const csv = Item.exportCsv(Item.query().where("quantity", ">", 0));
+  const [header, line, ...rest] = csv.split(/\r?\n/).filter((text) => text !== "");
+  assert.ok(header.split(",").includes("Name"));
+  assert.ok(line.includes("\"pen, blue\""));
+  assert.deepEqual(rest, []);
+
+  const json = JSON.parse(Item.exportJson());
+  assert.deepEqual(json.map((item) => item.name), ["pen, blue", "say \"hi\""]);
+
+  memory = new GSTableMemoryAdapter({}, "tester@example.com");
+  GSTable.useStorage(memory);
+  assert.equal(Item.importCsv(csv).inserted, 1);
+  assert.deepEqual(rows(), [["X1", "pen, blue", 10]]);
+});
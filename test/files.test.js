@@ -0,0 +1,139 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableFile, GSTableMemoryAdapter } = require("../GSTable.js");
+
+class Product extends GSTable {
+  constructor(name, image, manual) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+    this.image = GSTable.COLUMN().FILE(image, "images", false, { trashOnRemove: true });
+    this.manual = GSTable.COLUMN().FILE(manual, null, false);
+  }
+
+  static folderNames() {
+    return { "images": "Product_Images" };
+  }
+}
+
+const blob = (name) => ({
+  getName: () => name,
+  getBytes: () => [1, 2, 3],
+  getContentType: () => "image/png",
+});
+
+let memory;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter();
+  GSTable.useStorage(memory);
+});
+
+test("persist uploads the Blobs and writes the file ids", () => {
+  const product = new Product("pen", blob("pen.png"));
+  product.persist();
+
+  const file = Object.values(memory.files)[0];
+  assert.equal(file.name, "pen.png");
+  assert.ok(product.image._value instanceof GSTableFile);
+  assert.equal(product.image._value.getId(), file.id);
+  const {headers} = Product.getTableInfo();
+  assert.equal(memory.sheets.Product.values[1][headers.indexOf("image")], file.id);
+});
+
+test("saveAll uploads the Blobs of every entity", () => {
+  Product.saveAll([new Product("pen", blob("pen.png")), new Product("cup", blob("cup.png"))]);
+  assert.deepEqual(Object.values(memory.files).map((file) => file.name), ["pen.png", "cup.png"]);
+});
+
+test("folders are named by folderNames(), or after the table and property", () => {
+  new Product("pen", blob("pen.png"), blob("pen.pdf")).persist();
+
+  assert.deepEqual(Object.keys(memory.folders), ["Product_Images", "Product_manual"]);
+  const [image, manual] = Object.values(memory.files);
+  assert.equal(image.folder, memory.folders.Product_Images);
+  assert.equal(manual.folder, memory.folders.Product_manual);
+  assert.equal(Product.folderName("image"), "Product_Images");
+});
+
+test("loaded files are handles on the stored content", () => {
+  const product = new Product("pen", blob("pen.png"));
+  product.persist();
+  GSTable.clearCache();
+
+  const image = Product.findById(product.id._value).image._value;
+  assert.ok(image instanceof GSTableFile);
+  assert.equal(image.getName(), "pen.png");
+  assert.equal(image.getUrl(), "memory://files/" + image.getId());
+  assert.equal(image.getBlob().getContentType(), "image/png");
+});
+
+test("trashOnRemove trashes the files of deleted rows only", () => {
+  const product = new Product("pen", blob("pen.png"), blob("pen.pdf"));
+  product.persist();
+  const imageId = product.image._value.getId();
+  const manualId = product.manual._value.getId();
+
+  product.forceRemove();
+  assert.equal(memory.files[imageId].trashed, true);
+  assert.equal(memory.files[manualId].trashed, false);
+});
+
+test("removeAll trashes the files of the removed rows", () => {
+  const products = [new Product("pen", blob("pen.png")), new Product("cup", blob("cup.png"))];
+  Product.saveAll(products);
+
+  Product.removeAll([products[1]]);
+  assert.deepEqual(Object.values(memory.files).map((file) => file.trashed), [false, true]);
+});
+
+test("Drive URLs and ids are accepted as files", () => {
+  const product = new Product("pen", "https://drive.google.com/file/d/1AbCdEf/view?usp=sharing");
+  assert.equal(GSTable.TYPES().file.parse(product.image._value).getId(), "1AbCdEf");
+  assert.equal(GSTable.TYPES().file.serialize("1AbCdEf"), "1AbCdEf");
+  assert.throws(() => GSTable.TYPES().file.serialize(blob("pen.png")));
+});
+
+test("files survive a JSON export as their id", () => {
+  new Product("pen", blob("pen.png")).persist();
+
+  const [exported] = JSON.parse(Product.exportJson());
+  assert.equal(exported.image, Object.keys(memory.files)[0]);
+});
+
+test("files survive a CSV export and import", () => {
+  new Product("pen", blob("pen.png")).persist();
+  const csv = Product.exportCsv();
+
+  memory.sheets.Product.values.splice(1);
+  GSTable.clearCache();
+  const report = Product.importCsv(csv);
+  assert.equal(report.inserted, 1);
+
+  const imported = Product.findAll()[0];
+  assert.ok(imported.image._value instanceof GSTableFile);
+  assert.equal(imported.image._value.getName(), "pen.png");
+  assert.equal(Object.keys(memory.files).length, 1);
+});
+
+test("saveAll uploads nothing for the entities that fail validation", () => {
+  const invalid = new Product("", blob("blank.png"));
+  const report = Product.saveAll([new Product("pen", blob("pen.png")), invalid]);
+
+  assert.equal(report.failed[0].entity, invalid);
+  assert.deepEqual(Object.values(memory.files).map((file) => file.name), ["pen.png"]);
+  assert.equal(invalid.image._value.getName(), "blank.png");
+});
+
+test("uploads are trashed when the row cannot be written", () => {
+  Product.getTableInfo();
+  memory.append = () => { throw new Error("Service Spreadsheets failed"); };
+  const pen = new Product("pen", blob("pen.png"));
+  const cup = new Product("cup", blob("cup.png"));
+
+  assert.throws(() => Product.saveAll([pen, cup]), /Service Spreadsheets failed/);
+  assert.throws(() => new Product("ink", blob("ink.png")).persist(), /Service Spreadsheets failed/);
+
+  assert.deepEqual(Object.values(memory.files).map((file) => [file.name, file.trashed]), [["pen.png", true], ["cup.png", true], ["ink.png", true]]);
+  assert.equal(pen.image._value.getName(), "pen.png");
+  assert.ok(!(cup.image._value instanceof GSTableFile));
+});
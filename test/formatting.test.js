@@ -0,0 +1,71 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter } = require("../GSTable.js");
+
+class Category extends GSTable {
+  static schema() {
+    return [{ name: "name", type: "STRING" }];
+  }
+}
+
+class Article extends GSTable {
+  constructor() {
+    super();
+    this.title = GSTable.COLUMN().STRING("");
+    this.stock = GSTable.COLUMN().NUMBER(0, true, { min: 0 });
+    this.price = GSTable.COLUMN().DECIMAL(0, 3);
+    this.active = GSTable.COLUMN().BOOLEAN(true);
+    this.category = GSTable.COLUMN().FOREIGNKEY("", Category, false);
+    this.legacy = { _value: "", _type: "number", _required: false };
+  }
+
+  static sheetFormatting() {
+    return true;
+  }
+}
+
+let memory;
+
+const columnOf = (model, property) => model.getTableInfo().headers.indexOf(property) + 1;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter();
+  GSTable.useStorage(memory);
+});
+
+test("new sheets get a frozen bold header, formats, validation and protection", () => {
+  Article.getTableInfo();
+  const sheet = memory.sheets.Article;
+
+  assert.equal(sheet.frozenRows, 1);
+  assert.equal(sheet.boldHeader, true);
+  assert.equal(sheet.formats[columnOf(Article, "title")], "@");
+  assert.equal(sheet.formats[columnOf(Article, "stock")], "0.########");
+  assert.equal(sheet.formats[columnOf(Article, "price")], "0.000");
+  assert.deepEqual(sheet.validations[columnOf(Article, "stock")], { number: true, min: 0 });
+  assert.deepEqual(sheet.validations[columnOf(Article, "active")], { values: [true, false] });
+  assert.equal(sheet.validations[columnOf(Article, "category")].sheet, memory.sheets.Category);
+  assert.deepEqual(sheet.protections.map((protection) => protection.column).sort(),
+    ["id", "created", "created_by", "modified", "last_modified_by"].map((header) => columnOf(Article, header)).sort());
+});
+
+test("columns without options are formatted too", () => {
+  Article.getTableInfo();
+  assert.equal(memory.sheets.Article.formats[columnOf(Article, "legacy")], "0.########");
+  assert.deepEqual(memory.sheets.Article.validations[columnOf(Article, "legacy")], { number: true });
+});
+
+test("foreign keys to a sheet without id column get no validation", () => {
+  class Unsynced extends Category {
+    static getTableInfo() {
+      return { sheet: memory.createSheet("Unsynced"), headers: ["name"], labels: ["name"], unknown: [] };
+    }
+  }
+  const column = GSTable.COLUMN().FOREIGNKEY("", Unsynced);
+
+  assert.equal(Article.columnValidation(column, null, []), null);
+  assert.deepEqual(Article.columnValidation(GSTable.COLUMN().FOREIGNKEY("", Category), null, []), {
+    sheet: memory.sheets.Category,
+    column: columnOf(Category, "id"),
+  });
+});
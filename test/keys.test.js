@@ -0,0 +1,105 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter, ValidationError } = require("../GSTable.js");
+
+class Note extends GSTable {
+  constructor(text) {
+    super();
+    this.text = GSTable.COLUMN().STRING(text);
+  }
+}
+
+class Short extends Note {
+  static primaryKey() {
+    return { strategy: "random", length: 4 };
+  }
+}
+
+class Retried extends Note {}
+
+class Uuid extends Note {
+  static primaryKey() {
+    return { strategy: "uuid" };
+  }
+}
+
+class Ulid extends Note {
+  static primaryKey() {
+    return { strategy: "ulid" };
+  }
+}
+
+class Counter extends Note {
+  static primaryKey() {
+    return { strategy: "increment" };
+  }
+}
+
+class Natural extends Note {
+  static primaryKey() {
+    return { strategy: "natural" };
+  }
+}
+
+let memory;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter({}, "tester@example.com");
+  GSTable.useStorage(memory);
+});
+
+test("random ids have the configured length", () => {
+  const note = new Short("a");
+  note.persist();
+  assert.match(String(note.id._value), /^[A-Za-z0-9]{4}$/);
+  assert.match(String(Note.generateKey()), /^[A-Za-z0-9]{8}$/);
+});
+
+test("a random id already in the sheet is drawn again", () => {
+  const drawn = ["AAAA0001", "AAAA0001", "BBBB0002"];
+  Retried.generateId = () => drawn.shift();
+
+  const first = new Retried("a");
+  const second = new Retried("b");
+  first.persist();
+  second.persist();
+  assert.equal(first.id._value, "AAAA0001");
+  assert.equal(second.id._value, "BBBB0002");
+  assert.deepEqual(drawn, []);
+});
+
+test("uuid and ulid ids have their format and ulids sort by creation", () => {
+  assert.match(Uuid.generateKey(), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  const ids = [Ulid.generateKey(), Ulid.generateKey(), Ulid.generateKey()];
+  ids.forEach((id) => assert.match(id, /^[0-9A-HJKMNP-TV-Z]{26}$/));
+  assert.deepEqual([...ids].sort(), ids);
+});
+
+test("increment ids continue from the highest id of the sheet", () => {
+  const first = new Counter("a");
+  first.persist();
+  assert.equal(first.id._value, 1);
+
+  const sheet = memory.sheets.Counter;
+  sheet.values.push(["41"].concat(sheet.values[1].slice(1)));
+  GSTable.clearCache();
+  assert.equal(Counter.generateKey(), 42);
+  assert.equal(Counter.generateKey(), 43);
+});
+
+test("natural keys must be set and cannot be taken twice", () => {
+  assert.throws(() => new Natural("a").persist(), (error) => error instanceof ValidationError && error.errors[0].field === "id");
+
+  const first = new Natural("a");
+  first.id._value = "N1";
+  first.persist();
+  const second = new Natural("b");
+  second.id._value = "N1";
+  assert.throws(() => second.persist(), ValidationError);
+});
+
+test("findById matches numeric and text ids alike", () => {
+  new Counter("a").persist();
+  assert.equal(Counter.findById("1").text._value, "a");
+  assert.equal(Counter.findById(1).text._value, "a");
+});
@@ -0,0 +1,77 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter, ValidationError } = require("../GSTable.js");
+
+class Ticket extends GSTable {
+  constructor(code) {
+    super();
+    this.code = GSTable.COLUMN().STRING(code, true, { unique: true });
+  }
+
+  static primaryKey() {
+    return { strategy: "increment" };
+  }
+}
+
+let memory;
+
+// Appends a row the way another execution would, behind the back of the cache.
+const writeElsewhere = (id, code) => {
+  const {headers} = Ticket.getTableInfo();
+  const now = new Date();
+  const values = { id, code, created: now, modified: now, created_by: "other@example.com", last_modified_by: "other@example.com" };
+  memory.sheets.Ticket.values.push(headers.map((header) => values[header]));
+};
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter();
+  GSTable.useStorage(memory);
+  new Ticket("A").persist();
+  Ticket.findAll();
+});
+
+test("increment keys take the rows written by other executions into account", () => {
+  writeElsewhere(2, "B");
+
+  const ticket = new Ticket("C");
+  ticket.persist();
+  assert.equal(ticket.id._value, 3);
+});
+
+test("unique checks see the rows written by other executions", () => {
+  writeElsewhere(2, "B");
+
+  assert.throws(() => new Ticket("B").persist(), (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.errors[0].rule, "unique");
+    return true;
+  });
+});
+
+test("saveAll checks keys and unique values under the lock", () => {
+  writeElsewhere(2, "B");
+
+  const inserted = Ticket.saveAll([new Ticket("D")]);
+  assert.deepEqual(inserted.inserted.map((ticket) => ticket.id._value), [3]);
+  const duplicate = Ticket.saveAll([new Ticket("B")]);
+  assert.equal(duplicate.failed[0].error.errors[0].rule, "unique");
+});
+
+test("the cached rows are read again only when the sheet changed size", () => {
+  let reads = 0;
+  const readAll = memory.readAll;
+  memory.readAll = function (sheet) {
+    if (sheet.name === "Ticket") reads++;
+    return readAll.call(this, sheet);
+  };
+
+  new Ticket("B").persist();
+  new Ticket("C").persist();
+  assert.equal(reads, 0);
+
+  writeElsewhere(4, "D");
+  const ticket = new Ticket("E");
+  ticket.persist();
+  assert.equal(reads, 1);
+  assert.equal(ticket.id._value, 5);
+});
@@ -0,0 +1,103 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter } = require("../GSTable.js");
+
+class Item extends GSTable {
+  constructor(name, quantity, active) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+    this.quantity = GSTable.COLUMN().NUMBER(quantity);
+    this.active = GSTable.COLUMN().BOOLEAN(active);
+  }
+
+  static migrations() {
+    return [
+      { version: 2, steps: [{ drop: "notes" }, { add: "active", default: true }] },
+      { version: 1, steps: [{ rename: "qty", to: "quantity" }] },
+    ];
+  }
+}
+
+class Loose extends GSTable {
+  constructor(name) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+  }
+}
+
+class Strict extends Loose {
+  static unknownColumns() {
+    return "drop";
+  }
+}
+
+const system = ["id", "created", "modified", "created_by", "last_modified_by"];
+let memory;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter({}, "tester@example.com");
+  GSTable.useStorage(memory);
+});
+
+const seed = (name, headers, ...rows) => {
+  const sheet = memory.createSheet(name);
+  sheet.values = [system.concat(headers)].concat(rows.map((row, index) => ["A" + index, "", "", "", ""].concat(row)));
+  return sheet;
+};
+
+test("a dry run returns the plan without writing the sheet", () => {
+  const sheet = seed("Item", ["name", "qty", "notes"], ["pen", 5, "old"]);
+  const before = JSON.stringify(sheet.values);
+
+  const plan = Item.migrate({ dryRun: true });
+  assert.equal(plan.from, 0);
+  assert.equal(plan.to, 2);
+  assert.deepEqual(plan.steps.map((step) => step.action + ":" + (step.column || step.from)), ["rename:qty", "drop:notes", "add:active"]);
+  assert.deepEqual(plan.headers, system.concat(["name", "quantity", "active"]));
+  assert.equal(JSON.stringify(sheet.values), before);
+  assert.equal(memory.getSheet("_schema"), null);
+});
+
+test("pending migrations rename, drop and backfill columns keeping the data", () => {
+  const sheet = seed("Item", ["name", "qty", "notes"], ["pen", 5, "old"], ["cup", 3, ""]);
+
+  const items = Item.findAll();
+  assert.deepEqual(sheet.values[0], system.concat(["name", "quantity", "active"]));
+  assert.deepEqual(items.map((item) => [item.name._value, item.quantity._value, item.active._value]), [["pen", 5, true], ["cup", 3, true]]);
+  assert.deepEqual(memory.sheets._schema.values.map((row) => row.slice(0, 2)), [["table", "version"], ["Item", 2]]);
+
+  assert.deepEqual(Item.migrate().steps, []);
+  assert.deepEqual(memory.sheets._schema.values.length, 2);
+});
+
+test("a new sheet starts at the latest version without running the steps", () => {
+  const plan = Item.migrate();
+  assert.equal(plan.create, true);
+  assert.deepEqual(memory.sheets.Item.values, [system.concat(["name", "quantity", "active"])]);
+  assert.deepEqual(memory.sheets._schema.values[1].slice(0, 2), ["Item", 2]);
+});
+
+test("columns the class does not declare are kept and logged, unless dropped on purpose", () => {
+  seed("Loose", ["name", "legacy"], ["pen", "keep me"]);
+  seed("Strict", ["name", "legacy"], ["pen", "drop me"]);
+
+  Loose.getTableInfo();
+  assert.deepEqual(memory.sheets.Loose.values[1].slice(-2), ["pen", "keep me"]);
+  assert.deepEqual(memory.logs, ["Loose: kept columns not declared in the class: legacy"]);
+
+  Strict.getTableInfo();
+  assert.deepEqual(memory.sheets.Strict.values, [system.concat(["name"]), ["A0", "", "", "", "", "pen"]]);
+});
+
+test("writing an entity keeps the cells of the columns the class does not declare", () => {
+  const pen = new Loose("pen");
+  pen.persist();
+  memory.sheets.Loose.values[0].push("legacy");
+  memory.sheets.Loose.values[1].push("keep me");
+  GSTable.clearCache();
+
+  const stored = Loose.findById(pen.id._value);
+  stored.name._value = "ink";
+  stored.persist();
+  assert.deepEqual(memory.sheets.Loose.values[1].slice(-2), ["ink", "keep me"]);
+});
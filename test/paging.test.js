@@ -0,0 +1,60 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter } = require("../GSTable.js");
+
+class Item extends GSTable {
+  constructor(name, quantity) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name, true);
+    this.quantity = GSTable.COLUMN().NUMBER(quantity, false);
+  }
+}
+
+let memory;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter({}, "tester@example.com");
+  GSTable.useStorage(memory);
+  for (let i = 1; i <= 7; i++) new Item("item " + i, i).persist();
+  GSTable.clearCache();
+});
+
+test("page returns the entities of one page and the totals", () => {
+  const { items, total, page, pageSize, pages } = Item.page(2, 3);
+
+  assert.deepEqual(items.map((item) => item.name._value), ["item 4", "item 5", "item 6"]);
+  assert.deepEqual([total, page, pageSize, pages], [7, 2, 3, 3]);
+  assert.deepEqual(Item.page(3, 3).items.map((item) => item.name._value), ["item 7"]);
+  assert.deepEqual(Item.page(4, 3).items, []);
+  assert.throws(() => Item.page(0, 3), /page number/);
+});
+
+test("each visits every entity in batches and stops when asked", () => {
+  const visited = [];
+  const count = Item.each((item, index) => visited.push([index, item.quantity._value]), { batchSize: 3 });
+
+  assert.equal(count, 7);
+  assert.deepEqual(visited.map(([index]) => index), [0, 1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(visited.map(([, quantity]) => quantity), [1, 2, 3, 4, 5, 6, 7]);
+  assert.equal(Item.each((item, index) => index < 1 ? undefined : false, { batchSize: 2 }), 2);
+});
+
+test("findAll with columns fills in only the projected columns", () => {
+  const items = Item.findAll({ columns: ["quantity"] });
+
+  assert.equal(items.length, 7);
+  assert.equal(items[0].quantity._value, 1);
+  assert.ok(items[0].id._value);
+  assert.equal(items[0].name._value, "");
+  assert.throws(() => Item.findAll({ columns: ["price"] }), /Unknown column 'price'/);
+});
+
+test("entities read with a projection cannot be written", () => {
+  const [item] = Item.page(1, 1, { columns: ["name"] }).items;
+  item.name._value = "renamed";
+
+  assert.throws(() => item.persist(), /read with only some columns/);
+  const report = Item.saveAll([item]);
+  assert.equal(report.failed.length, 1);
+  assert.equal(memory.sheets.Item.values[1][memory.sheets.Item.values[0].indexOf("name")], "item 1");
+});
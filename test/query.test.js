@@ -0,0 +1,67 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter } = require("../GSTable.js");
+
+class Product extends GSTable {
+  constructor(name, price) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+    this.price = GSTable.COLUMN().NUMBER(price);
+  }
+}
+
+class Sale extends GSTable {
+  constructor(region, product) {
+    super();
+    this.region = GSTable.COLUMN().STRING(region);
+    this.product = GSTable.COLUMN().FOREIGNKEY(product, Product);
+  }
+}
+
+beforeEach(() => {
+  GSTable.useStorage(new GSTableMemoryAdapter());
+});
+
+test("groupBy reads the classes of a dotted path once for all the groups", () => {
+  const pen = new Product("pen", 2);
+  const ink = new Product("ink", 5);
+  pen.persist();
+  ink.persist();
+  [["north", pen], ["north", ink], ["south", pen], ["east", ink]].forEach(([region, product]) => {
+    new Sale(region, product.id._value).persist();
+  });
+
+  const findAll = Product.findAll;
+  let reads = 0;
+  Product.findAll = function (...args) {
+    reads++;
+    return findAll.apply(this, args);
+  };
+  try {
+    const {sum, max} = GSTable.AGG();
+    const rows = Sale.groupBy("region").agg({ total: sum("product.price"), top: max("product.price") });
+    assert.deepEqual(rows, [
+      { region: "north", total: 7, top: 5 },
+      { region: "south", total: 2, top: 2 },
+      { region: "east", total: 5, top: 5 },
+    ]);
+  } finally {
+    Product.findAll = findAll;
+  }
+  assert.equal(reads, 2);
+});
+
+test("filterByConsitions returns every entity for empty conditions", () => {
+  new Product("pen", 2).persist();
+  new Product("ink", 5).persist();
+
+  assert.deepEqual(Product.filterByConsitions({}).map((product) => product.name._value), ["pen", "ink"]);
+  assert.deepEqual(Product.filterByConsitions({ price: (price) => price._value > 3 }).map((product) => product.name._value), ["ink"]);
+});
+
+test("typeOf reads the column types of the class", () => {
+  const query = Product.query();
+  assert.equal(query.typeOf("price"), "number");
+  assert.equal(query.typeOf("created"), "date");
+  assert.equal(query.typeOf("row_number"), null);
+});
@@ -0,0 +1,71 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter } = require("../GSTable.js");
+
+class Product extends GSTable {
+  constructor(name) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+  }
+}
+
+class Tag extends GSTable {
+  constructor(label) {
+    super();
+    this.label = GSTable.COLUMN().STRING(label);
+  }
+}
+
+class Person extends GSTable {
+  constructor(name) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+  }
+}
+
+Product.belongsToMany(Tag, "tags");
+Tag.belongsToMany(Product, "products");
+Person.belongsToMany(Person, "friends");
+
+let memory;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter();
+  GSTable.useStorage(memory);
+});
+
+test("belongsToMany links entities of two classes in both directions", () => {
+  const pen = new Product("pen");
+  const red = new Tag("red");
+  pen.persist();
+  red.persist();
+
+  pen.attach("tags", red);
+  assert.deepEqual(pen.getRelated("tags").map((tag) => tag.label._value), ["red"]);
+  assert.deepEqual(red.getRelated("products").map((product) => product.name._value), ["pen"]);
+
+  pen.detach("tags", red);
+  assert.deepEqual(pen.getRelated("tags"), []);
+});
+
+test("a class related to itself uses a source and a target column", () => {
+  const ann = new Person("Ann");
+  const bob = new Person("Bob");
+  ann.persist();
+  bob.persist();
+
+  const relation = Person.relations().friends;
+  assert.equal(relation.sourceKey, "person_a");
+  assert.equal(relation.targetKey, "person_b");
+
+  ann.attach("friends", bob);
+  const [headers, row] = memory.sheets.Person_Person.values;
+  assert.equal(row[headers.indexOf("person_a")], ann.id._value);
+  assert.equal(row[headers.indexOf("person_b")], bob.id._value);
+
+  assert.deepEqual(ann.getRelated("friends").map((person) => person.name._value), ["Bob"]);
+  assert.deepEqual(bob.getRelated("friends"), []);
+
+  ann.detach("friends", bob);
+  assert.equal(memory.sheets.Person_Person.values.length, 1);
+});
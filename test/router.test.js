@@ -0,0 +1,72 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter } = require("../GSTable.js");
+
+const loaded = [];
+
+class Item extends GSTable {
+  constructor(name, quantity) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+    this.quantity = GSTable.COLUMN().NUMBER(quantity);
+  }
+
+  afterLoad() {
+    loaded.push(this.name._value);
+  }
+}
+
+let memory;
+let api;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter();
+  GSTable.useStorage(memory);
+  api = GSTable.router([Item]);
+  loaded.length = 0;
+});
+
+const post = (path, body) => api.handle("POST", { pathInfo: path, parameter: {}, postData: { contents: JSON.stringify(body) } });
+
+test("list ignores query parameters that are not fields", () => {
+  new Item("pen", 10).persist();
+  new Item("cup", 3).persist();
+
+  const response = api.handle("GET", { pathInfo: "item", parameter: { "quantity[gt]": "5", _: "1712345678", "callback[x]": "y" } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.data.map((item) => item.name), ["pen"]);
+});
+
+test("list still rejects unknown operators and sort fields", () => {
+  assert.equal(api.handle("GET", { pathInfo: "item", parameter: { "quantity[near]": "5" } }).status, 400);
+  assert.equal(api.handle("GET", { pathInfo: "item", parameter: { sort: "color" } }).status, 400);
+});
+
+test("create builds a new entity without running the load hooks", () => {
+  let loads = 0;
+  const off = GSTable.on("load", Item, () => loads++);
+
+  const response = post("item", { name: "pen", quantity: "4" });
+  assert.equal(response.status, 201);
+  assert.equal(response.data.quantity, 4);
+  assert.equal(Item.findById(response.data.id).name._value, "pen");
+  loaded.length = 0;
+  loads = 0;
+
+  assert.equal(post("item", { name: "cup", quantity: 0 }).data.quantity, 0);
+  assert.deepEqual(loaded, []);
+  assert.equal(loads, 0);
+  off();
+});
+
+test("unexpected errors answer a generic message and are logged", () => {
+  const findById = Item.findById;
+  Item.findById = () => { throw new Error("Sheet 'Item' of spreadsheet 1AbC is broken"); };
+  try {
+    const response = api.handle("GET", { pathInfo: "item/ABC" });
+    assert.deepEqual(response, { status: 500, error: { type: "InternalError", message: "Internal error" } });
+  } finally {
+    Item.findById = findById;
+  }
+  assert.ok(memory.logs.some((line) => line.startsWith("GSTableRouter: ") && line.includes("spreadsheet 1AbC is broken")));
+});
@@ -0,0 +1,48 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter } = require("../GSTable.js");
+
+class Customer extends GSTable {
+  static schema() {
+    return [
+      { name: "name", type: "STRING", label: "Full name", order: 1 },
+      { name: "notes", type: "STRING", required: false, hidden: true },
+    ];
+  }
+}
+
+// Column definitions written by hand, without `_options`, as before `COLUMN()` took options.
+class Legacy extends GSTable {
+  constructor(name) {
+    super();
+    this.name = { _value: name || "", _type: "str", _required: true };
+  }
+}
+
+let memory;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter();
+  GSTable.useStorage(memory);
+});
+
+test("schema() columns are written with their labels, in order", () => {
+  const {headers, labels} = Customer.getTableInfo();
+  assert.equal(headers[0], "name");
+  assert.equal(labels[0], "Full name");
+  assert.equal(Customer.propertyOf("Full name"), "name");
+  assert.deepEqual(memory.sheets.Customer.hidden, [headers.indexOf("notes") + 1]);
+});
+
+test("columns without options are supported", () => {
+  const {headers} = Legacy.getTableInfo();
+  assert.ok(headers.includes("name"));
+  assert.equal(Legacy.labelOf("name"), "name");
+  assert.equal(Legacy.propertyOf("name"), "name");
+  assert.deepEqual(Legacy.describe().find((column) => column.name === "name").options, {});
+
+  const legacy = new Legacy("old");
+  assert.equal(legacy.persist(), true);
+  GSTable.clearCache();
+  assert.equal(Legacy.findById(legacy.id._value).name._value, "old");
+});
@@ -0,0 +1,71 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter, ValidationError } = require("../GSTable.js");
+
+class Customer extends GSTable {
+  constructor(name) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+  }
+
+  static softDeletes() {
+    return true;
+  }
+
+  beforePersist() {
+    return this.name._value !== "locked";
+  }
+}
+
+beforeEach(() => {
+  GSTable.useStorage(new GSTableMemoryAdapter());
+});
+
+test("remove marks the entity as deleted", () => {
+  const ann = new Customer("Ann");
+  ann.persist();
+
+  assert.equal(ann.remove(), true);
+  assert.ok(ann.isTrashed());
+  assert.equal(Customer.findById(ann.id._value), null);
+});
+
+test("remove puts back deleted_at and deleted_by when the write is cancelled", () => {
+  const ann = new Customer("Ann");
+  ann.persist();
+  ann.name._value = "locked";
+
+  assert.equal(ann.remove(), false);
+  assert.equal(ann.deleted_at._value, "");
+  assert.equal(ann.deleted_by._value, "");
+  assert.equal(ann.isTrashed(), false);
+});
+
+test("remove puts back deleted_at and deleted_by when the write throws", () => {
+  const ann = new Customer("Ann");
+  ann.persist();
+  ann.name._value = "";
+
+  assert.throws(() => ann.remove(), ValidationError);
+  assert.equal(ann.deleted_at._value, "");
+  assert.equal(ann.deleted_by._value, "");
+});
+
+test("removeAll puts back the values of the entities it could not mark", () => {
+  const ann = new Customer("Ann");
+  const bob = new Customer("Bob");
+  const eve = new Customer("Eve");
+  Customer.saveAll([ann, bob, eve]);
+  bob.name._value = "";
+  eve.name._value = "locked";
+
+  const report = Customer.removeAll([ann, bob, eve]);
+  assert.deepEqual(report.removed, [ann]);
+  assert.deepEqual(report.failed.map((failure) => failure.entity), [bob]);
+  assert.deepEqual(report.cancelled, [eve]);
+  assert.ok(ann.isTrashed());
+  [bob, eve].forEach((entity) => {
+    assert.equal(entity.deleted_at._value, "");
+    assert.equal(entity.isTrashed(), false);
+  });
+});
@@ -0,0 +1,163 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter, ValidationError } = require("../GSTable.js");
+
+class Supplier extends GSTable {
+  constructor(name) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+  }
+}
+
+class Item extends GSTable {
+  constructor(name, quantity, supplier) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+    this.quantity = GSTable.COLUMN().NUMBER(quantity);
+    this.supplier = GSTable.COLUMN().FOREIGNKEY(supplier, Supplier, false);
+  }
+}
+
+let memory;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter({}, "tester@example.com");
+  GSTable.useStorage(memory);
+});
+
+test("persist creates the sheet with its headers and inserts a row", () => {
+  const item = new Item("pen", 10);
+  assert.equal(item.persist(), true);
+
+  const [headers, row] = memory.sheets.Item.values;
+  assert.deepEqual(headers, ["id", "created", "modified", "created_by", "last_modified_by", "name", "quantity", "supplier"]);
+  assert.equal(row[0], item.id._value);
+  assert.equal(row[3], "tester@example.com");
+  assert.deepEqual(row.slice(5), ["pen", 10, ""]);
+  assert.equal(item.row_number, 2);
+});
+
+test("findById and findAll read the rows back", () => {
+  new Item("pen", 10).persist();
+  const cup = new Item("cup", 3);
+  cup.persist();
+  GSTable.clearCache();
+
+  assert.deepEqual(Item.findAll().map((item) => item.name._value), ["pen", "cup"]);
+  const found = Item.findById(cup.id._value);
+  assert.equal(found.quantity._value, 3);
+  assert.equal(found.row_number, 3);
+  assert.equal(Item.findById("missing"), null);
+});
+
+test("persist updates the row of an existing entity", () => {
+  const item = new Item("pen", 10);
+  item.persist();
+  GSTable.clearCache();
+
+  const found = Item.findById(item.id._value);
+  found.setValue("quantity", 4);
+  found.persist();
+
+  assert.equal(memory.sheets.Item.values.length, 2);
+  assert.equal(memory.sheets.Item.values[1][6], 4);
+});
+
+test("saveAll reports a second entity of the same row as failed", () => {
+  const item = new Item("pen", 10);
+  item.persist();
+  const first = Item.findById(item.id._value);
+  const second = Item.findById(item.id._value);
+  first.setValue("quantity", 4);
+  second.setValue("quantity", 7);
+
+  const report = Item.saveAll([first, second, first]);
+  assert.deepEqual(report.updated, [first]);
+  assert.equal(report.failed.length, 1);
+  assert.equal(report.failed[0].entity, second);
+  assert.match(report.failed[0].error.message, /listed twice/);
+  assert.equal(memory.sheets.Item.values[1][6], 4);
+});
+
+test("remove deletes the row", () => {
+  const pen = new Item("pen", 10);
+  const cup = new Item("cup", 3);
+  pen.persist();
+  cup.persist();
+
+  assert.equal(pen.remove(), true);
+  assert.equal(pen.row_number, 0);
+  GSTable.clearCache();
+  assert.deepEqual(Item.findAll().map((item) => item.name._value), ["cup"]);
+  assert.equal(Item.findById(cup.id._value).row_number, 2);
+});
+
+test("missing columns are added to an existing sheet and unknown ones are kept", () => {
+  memory = new GSTableMemoryAdapter({
+    Item: [["id", "name", "notes"], ["A1", "pen", "blue"]],
+  }, "tester@example.com");
+  GSTable.useStorage(memory);
+
+  const {headers, unknown} = Item.getTableInfo();
+  assert.deepEqual(headers, ["id", "name", "notes", "created", "modified", "created_by", "last_modified_by", "quantity", "supplier"]);
+  assert.deepEqual(unknown, ["notes"]);
+  assert.deepEqual(memory.sheets.Item.values[0], headers);
+  assert.equal(memory.logs.length, 1);
+
+  const item = Item.findById("A1");
+  item.setValue("quantity", 2);
+  item.setValue("created", new Date());
+  item.setValue("created_by", "someone");
+  item.persist();
+  assert.equal(memory.sheets.Item.values[1][2], "blue");
+});
+
+test("persist rejects entities with missing required values", () => {
+  const item = new Item("", undefined);
+  item.setValue("quantity", "");
+
+  assert.throws(() => item.persist(), (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.deepEqual(error.errors.map((wrong) => wrong.field), ["name", "quantity"]);
+    return true;
+  });
+  assert.equal(memory.sheets.Item.values.length, 1);
+  assert.equal(item.row_number, 0);
+});
+
+test("0 and false are valid required values", () => {
+  const item = new Item("pen", 0);
+  assert.deepEqual(item.checkRequired(["name", "quantity"], ["pen", 0]), []);
+  assert.equal(item.persist(), true);
+});
+
+test("a required NUMBER never set is reported as missing", () => {
+  const item = new Item("pen");
+  assert.equal(item.quantity._value, "");
+  assert.throws(() => item.persist(), (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.deepEqual(error.errors.map((wrong) => [wrong.field, wrong.rule]), [["quantity", "required"]]);
+    return true;
+  });
+});
+
+test("expand() loads the entities referenced by foreign keys", () => {
+  const supplier = new Supplier("ACME");
+  supplier.persist();
+  const item = new Item("pen", 10, supplier.id._value);
+  item.persist();
+  GSTable.clearCache();
+
+  const found = Item.findById(item.id._value);
+  found.expand();
+  assert.ok(found.supplier_ instanceof Supplier);
+  assert.equal(found.supplier_.name._value, "ACME");
+});
+
+test("expand() leaves null for foreign keys pointing to missing entities", () => {
+  const item = new Item("pen", 10, "missing");
+  item.persist();
+
+  item.expand();
+  assert.equal(item.supplier_, null);
+});
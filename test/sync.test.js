@@ -0,0 +1,91 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter } = require("../GSTable.js");
+
+class Item extends GSTable {
+  constructor(name, quantity) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name, true);
+    this.quantity = GSTable.COLUMN().NUMBER(quantity, false, { min: 0 });
+  }
+}
+
+class Note extends GSTable {
+  constructor(text) {
+    super();
+    this.text = GSTable.COLUMN().STRING(text, true);
+  }
+}
+
+const HEADERS = ["id", "created", "modified", "created_by", "last_modified_by", "name", "quantity"];
+
+let memory;
+let syncEdit;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter({ Item: [HEADERS] }, "script@example.com");
+  GSTable.useStorage(memory);
+  syncEdit = GSTable.installEditSync([Item]);
+});
+
+function edit(row, numRows = 1, extra = {}) {
+  return Object.assign({ range: { sheetName: "Item", row, numRows, column: 6, numColumns: 2 }, user: "editor@example.com" }, extra);
+}
+
+test("rows typed in get their id and stamps", () => {
+  memory.sheets.Item.values.push(["", "", "", "", "", "pen", "3"]);
+  const report = syncEdit(edit(2));
+
+  assert.equal(report.inserted.length, 1);
+  const [id, created, modified, createdBy, modifiedBy, name, quantity] = memory.sheets.Item.values[1];
+  assert.ok(id);
+  assert.ok(created instanceof Date && modified instanceof Date);
+  assert.deepEqual([createdBy, modifiedBy, name, quantity], ["editor@example.com", "editor@example.com", "pen", 3]);
+  assert.equal(Item.findById(id).name._value, "pen");
+});
+
+test("edited rows keep their creation stamps", () => {
+  const item = new Item("pen", 3);
+  item.persist();
+  const created = memory.sheets.Item.values[1][1];
+  memory.sheets.Item.values[1][6] = 5;
+
+  const report = syncEdit(edit(2, 1, { oldValue: 3 }));
+
+  assert.equal(report.updated.length, 1);
+  assert.equal(memory.sheets.Item.values[1][1], created);
+  assert.equal(memory.sheets.Item.values[1][3], "script@example.com");
+  assert.equal(memory.sheets.Item.values[1][4], "editor@example.com");
+});
+
+test("invalid cells are marked and the marks go away once fixed", () => {
+  memory.sheets.Item.values.push(["", "", "", "", "", "", "-1"]);
+  const report = syncEdit(edit(2));
+
+  assert.equal(report.invalid.length, 1);
+  assert.deepEqual(report.invalid[0].errors.map((error) => error.field).sort(), ["name", "quantity"]);
+  assert.deepEqual(Object.keys(memory.sheets.Item.marks).sort(), ["2:6", "2:7"]);
+  assert.equal(memory.sheets.Item.marks["2:6"].background, "#f4cccc");
+
+  memory.sheets.Item.values[1][5] = "pen";
+  memory.sheets.Item.values[1][6] = "1";
+  assert.equal(syncEdit(edit(2)).inserted.length, 1);
+  assert.deepEqual(memory.sheets.Item.marks, {});
+});
+
+test("columns unknown to the class and empty rows are left alone", () => {
+  memory.sheets.Item.values[0].push("comment");
+  memory.sheets.Item.values.push(["", "", "", "", "", "pen", 1, "by hand"]);
+  memory.sheets.Item.values.push(["", "", "", "", "", "", "", ""]);
+
+  const report = syncEdit(edit(2, 2));
+
+  assert.equal(report.inserted.length, 1);
+  assert.equal(memory.sheets.Item.values[1][7], "by hand");
+  assert.deepEqual(memory.sheets.Item.values[2], ["", "", "", "", "", "", "", ""]);
+});
+
+test("edits of sheets not watched are ignored", () => {
+  new Note("hello").persist();
+  assert.equal(syncEdit({ range: { sheetName: "Note", row: 2 } }), null);
+});
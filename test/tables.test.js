@@ -0,0 +1,76 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter } = require("../GSTable.js");
+
+class Item extends GSTable {
+  constructor(name) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+  }
+
+  static tableName() {
+    return "Inventory items";
+  }
+}
+
+class Customer extends GSTable {
+  constructor(name) {
+    super();
+    this.name = GSTable.COLUMN().STRING(name);
+  }
+
+  static spreadsheetId() {
+    return "crm";
+  }
+}
+
+class Order extends GSTable {
+  constructor(customer) {
+    super();
+    this.customer = GSTable.COLUMN().FOREIGNKEY(customer, Customer);
+  }
+}
+
+let memory;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter({}, "tester@example.com");
+  GSTable.useStorage(memory);
+  GSTable.configure({ spreadsheetId: null });
+});
+
+test("tableName() names the sheet of the class", () => {
+  new Item("pen").persist();
+  assert.deepEqual(Object.keys(memory.sheets), ["Inventory items"]);
+  assert.equal(Item.findAll()[0].name._value, "pen");
+});
+
+test("configure() points every class to another spreadsheet", () => {
+  GSTable.configure({ spreadsheetId: "shop" });
+  new Item("pen").persist();
+
+  assert.deepEqual(Object.keys(memory.sheets), []);
+  assert.deepEqual(Object.keys(memory.spreadsheets.shop), ["Inventory items"]);
+  assert.equal(Order.spreadsheetId(), "shop");
+});
+
+test("configure() clears the cache, since tables may have moved", () => {
+  new Item("pen").persist();
+  assert.equal(Item.findAll().length, 1);
+
+  GSTable.configure({ spreadsheetId: "shop" });
+  assert.equal(Item.findAll().length, 0);
+});
+
+test("spreadsheetId() keeps a class in its own spreadsheet and foreign keys follow it", () => {
+  GSTable.configure({ spreadsheetId: "shop" });
+  const ann = new Customer("Ann");
+  ann.persist();
+  const order = new Order(ann.id._value);
+  order.persist();
+
+  assert.deepEqual(Object.keys(memory.spreadsheets.crm), ["Customer"]);
+  assert.deepEqual(Object.keys(memory.spreadsheets.shop), ["Order"]);
+  order.expand();
+  assert.equal(order.customer_.name._value, "Ann");
+});
@@ -0,0 +1,38 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable } = require("../GSTable.js");
+
+const decimal = (value, precision = 2) => GSTable.TYPES().decimal.parse(value, GSTable.COLUMN().DECIMAL("", precision));
+
+test("DECIMAL rounds to its precision", () => {
+  assert.equal(decimal(1.005), 1.01);
+  assert.equal(decimal("3.14159", 3), 3.142);
+  assert.equal(decimal(-2.345), -2.34);
+  assert.equal(decimal(7, 0), 7);
+  assert.equal(decimal(""), "");
+});
+
+test("DECIMAL handles numbers in exponent notation", () => {
+  assert.equal(decimal(0.0000001), 0);
+  assert.equal(decimal(0.0000001, 8), 1e-7);
+  assert.equal(decimal(1e21), 1e21);
+  assert.equal(decimal(1.23456e-5, 7), 1.23e-5);
+});
+
+test("DECIMAL rejects values that are not finite numbers", () => {
+  assert.throws(() => decimal("abc"), /expects a number/);
+  assert.throws(() => decimal(1e308, 10), /expects a number with 10 decimals/);
+  assert.throws(() => GSTable.TYPES().decimal.serialize(Infinity, GSTable.COLUMN().DECIMAL()));
+});
+
+test("DATE accepts ISO 8601 text, serial dates and dates only", () => {
+  const date = GSTable.TYPES().date.parse;
+  assert.equal(date("2024-05-01").toISOString(), "2024-05-01T00:00:00.000Z");
+  assert.equal(date("2024-05-01T10:00:00+02:00").toISOString(), "2024-05-01T08:00:00.000Z");
+  assert.equal(date(45413).toISOString(), "2024-05-01T00:00:00.000Z");
+  assert.equal(date(45413.75).toISOString(), "2024-05-01T18:00:00.000Z");
+  assert.equal(date(""), "");
+  ["1", "2", "May 1 2024", "01/05/2024"].forEach((text) => {
+    assert.throws(() => date(text), /expects a date/);
+  });
+});
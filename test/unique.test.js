@@ -0,0 +1,83 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GSTable, GSTableMemoryAdapter, ValidationError } = require("../GSTable.js");
+
+class Item extends GSTable {
+  constructor(sku, shop, code, category) {
+    super();
+    this.sku = GSTable.COLUMN().STRING(sku, true, { unique: true });
+    this.shop = GSTable.COLUMN().STRING(shop, true, { unique: "shop_code" });
+    this.code = GSTable.COLUMN().NUMBER(code, true, { unique: "shop_code" });
+    this.category = GSTable.COLUMN().STRING(category, false, { index: true });
+  }
+}
+
+let memory;
+let reads;
+
+beforeEach(() => {
+  memory = new GSTableMemoryAdapter({}, "tester@example.com");
+  GSTable.useStorage(memory);
+  reads = {};
+  const readAll = memory.readAll;
+  memory.readAll = function (sheet) {
+    reads[sheet.name] = (reads[sheet.name] || 0) + 1;
+    return readAll.call(this, sheet);
+  };
+});
+
+test("uniqueGroups lists single and composite constraints", () => {
+  assert.deepEqual(Item.uniqueGroups(), [["id"], ["sku"], ["shop", "code"]]);
+});
+
+test("persist rejects a value already taken by another row", () => {
+  new Item("X1", "rome", 1).persist();
+  const duplicate = new Item("X1", "rome", 2);
+
+  assert.throws(() => duplicate.persist(), (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.deepEqual(error.errors.map((wrong) => [wrong.field, wrong.rule]), [["sku", "unique"]]);
+    return true;
+  });
+  assert.equal(memory.sheets.Item.values.length, 2);
+});
+
+test("composite constraints reject only the same combination", () => {
+  new Item("X1", "rome", 1).persist();
+  new Item("X2", "milan", 1).persist();
+  assert.equal(memory.sheets.Item.values.length, 3);
+  assert.throws(() => new Item("X3", "rome", "1").persist(), (error) => error.errors[0].field === "shop, code");
+});
+
+test("an entity can be written again with its own values", () => {
+  const item = new Item("X1", "rome", 1);
+  item.persist();
+  item.category._value = "tools";
+  item.persist();
+  assert.equal(memory.sheets.Item.values.length, 2);
+});
+
+test("saveAll reports duplicates inside the batch as failed", () => {
+  const first = new Item("X1", "rome", 1);
+  const second = new Item("X1", "milan", 1);
+  const report = Item.saveAll([first, second]);
+
+  assert.deepEqual(report.inserted, [first]);
+  assert.equal(report.failed.length, 1);
+  assert.equal(report.failed[0].entity, second);
+  assert.ok(report.failed[0].error instanceof ValidationError);
+});
+
+test("findOneBy and findAllBy look values up by column type", () => {
+  Item.saveAll([new Item("X1", "rome", 1, "tools"), new Item("X2", "rome", 2, "tools"), new Item("X3", "milan", 1, "food")]);
+  GSTable.clearCache();
+  Item.getTableInfo();
+  reads = {};
+
+  assert.equal(Item.findOneBy("sku", "X2").code._value, 2);
+  assert.equal(Item.findOneBy("sku", "missing"), null);
+  assert.deepEqual(Item.findAllBy("category", "tools").map((item) => item.sku._value), ["X1", "X2"]);
+  assert.equal(Item.findOneBy(["shop", "code"], ["milan", "1"]).sku._value, "X3");
+  assert.deepEqual(Item.findAllBy("category", ""), []);
+  assert.equal(reads.Item, 1);
+});